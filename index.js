@@ -10,9 +10,27 @@
 
 const recordPatchBuilder = require('./lib/record-patch-builder.js');
 const differ = require('./lib/differ.js');
+const inversePatchRecorder = require('./lib/inverse-patch-recorder.js');
+const merger = require('./lib/merger.js');
+const rebaser = require('./lib/rebaser.js');
+const composer = require('./lib/composer.js');
+const normalizer = require('./lib/normalizer.js');
+const patchPolicy = require('./lib/patch-policy.js');
+const memoryRefResolver = require('./lib/memory-ref-resolver.js');
 
 
 // export the builder functions
 exports.build = recordPatchBuilder.build;
 exports.buildMerge = recordPatchBuilder.buildMerge;
+exports.validate = recordPatchBuilder.validate;
+exports.equalValues = recordPatchBuilder.equalValues;
 exports.fromDiff = differ.fromDiff;
+exports.createInverseRecorder = inversePatchRecorder.createInverseRecorder;
+exports.merge3 = merger.merge3;
+exports.rebase = rebaser.rebase;
+exports.compose = composer.compose;
+exports.normalize = normalizer.normalize;
+exports.createMemoryRefResolver = memoryRefResolver.createMemoryRefResolver;
+
+// export the error classes
+exports.PatchPolicyError = patchPolicy.PatchPolicyError;
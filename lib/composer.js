@@ -0,0 +1,490 @@
+'use strict';
+
+const common = require('x2node-common');
+
+const recordPatchBuilder = require('./record-patch-builder.js');
+const pointerTransform = require('./pointer-transform.js');
+const selectorPointer = require('./selector-pointer.js');
+
+
+/**
+ * Operations that update the existing value at the location rather than set a
+ * new one. Such operations are never eliminated by or in favor of other
+ * operations on the same location.
+ *
+ * @private
+ * @constant {Set.<string>}
+ */
+const UPDATE_OPS = new Set([
+	'merge', 'remove-value', 'add-unique', 'increment'
+]);
+
+/**
+ * Compose a sequence of patches into a single patch that, when applied to a
+ * record, produces the same result as applying the patches one after another.
+ * The operations of all patches are concatenated and then the redundant ones
+ * are eliminated: a value set by an operation and then set again or removed by
+ * a later operation is not set; an array element inserted and then removed is
+ * not inserted; operations that modify a value set by an earlier operation
+ * (for example, insert elements into a replaced array or update properties of
+ * an added nested object) are folded into the earlier operation's value, with
+ * the id selectors resolved against the value; moves
+ * of a location onto itself are eliminated. Operations in between that read or
+ * affect the location prevent the elimination. Removal of an array element by
+ * id affects all locations in the array. Consecutive array element insertions
+ * collapse only when folded into an operation that sets the whole array. If the record type has a
+ * version meta-info property, only the first "test" operation for the version
+ * is kept. Version tests in the later patches must expect the version produced
+ * by the preceding versioned patches and are dropped. The composed patch, if
+ * versioned, updates the record version only once.
+ *
+ * @function module:x2node-patches.compose
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} recordTypeName Name of the record type.
+ * @param {Array.<Array.<Object>>} patchSpecs RFC 6902 JSON patch
+ * specifications in the order of application.
+ * @returns {Array.<Object>} The composed RFC 6902 JSON patch specification.
+ * @throws {module:x2node-common.X2UsageError} If the provided record type name
+ * is invalid, or the patch specifications list is not an array.
+ * @throws {module:x2node-common.X2SyntaxError} If any of the provided patch
+ * specifications is invalid, or a version test in a patch specification does
+ * not expect the version produced by the preceding patches (error code
+ * "PATCH_VERSION_MISMATCH"), in which case the patches cannot be applied one
+ * after another.
+ */
+function compose(recordTypes, recordTypeName, patchSpecs) {
+
+	// validate the patches
+	if (!Array.isArray(patchSpecs))
+		throw new common.X2UsageError(
+			'Patch specifications list is not an array.');
+	for (let patchSpec of patchSpecs)
+		recordPatchBuilder.build(recordTypes, recordTypeName, patchSpec);
+
+	// drop redundant version tests
+	const recordTypeDesc = recordTypes.getRecordTypeDesc(recordTypeName);
+	const versionPropName = recordPatchBuilder.getMetaInfoPropName(
+		recordTypeDesc, 'version');
+	const sequence = (
+		versionPropName ?
+			dropLaterVersionTests(patchSpecs, versionPropName) : patchSpecs);
+
+	// concatenate the operations
+	const ops = sequence.reduce((res, patchSpec) => res.concat(
+		patchSpec.map(opDef => ({
+			def: recordPatchBuilder.copyValue(opDef),
+			prims: pointerTransform.decompose(recordTypeDesc, opDef)
+		}))
+	), new Array());
+
+	// eliminate redundant operations until nothing changes
+	while (eliminateRedundant(recordTypeDesc, ops));
+
+	// return the composed patch specification
+	return ops.map(op => op.def);
+}
+
+/**
+ * Remove version tests from the patch specifications except the first one.
+ *
+ * @private
+ * @param {Array.<Array.<Object>>} patchSpecs The patch specifications. Assumed
+ * to be valid.
+ * @param {string} versionPropName Name of the version meta-info property.
+ * @returns {Array.<Array.<Object>>} The patch specifications without the
+ * redundant version tests.
+ * @throws {module:x2node-common.X2SyntaxError} If a version test does not
+ * expect the version produced by the preceding patches.
+ */
+function dropLaterVersionTests(patchSpecs, versionPropName) {
+
+	let expectedVersion;
+	return patchSpecs.map(patchSpec => {
+
+		// check the version tests
+		const res = patchSpec.filter(opDef => {
+			if (!recordPatchBuilder.isVersionTest(opDef, versionPropName))
+				return true;
+			if (expectedVersion === undefined) {
+				expectedVersion = opDef.value;
+				return true;
+			}
+			if (opDef.value !== expectedVersion)
+				throw recordPatchBuilder.patchSyntaxError(
+					'PATCH_VERSION_MISMATCH',
+					`Version test expects version ${opDef.value} while the` +
+						` preceding patches produce version ${expectedVersion}.`,
+					opDef.path);
+			return false;
+		});
+
+		// versioned patch updates the version
+		if ((expectedVersion !== undefined) &&
+			patchSpec.some(opDef => recordPatchBuilder.isVersionTest(
+				opDef, versionPropName)) &&
+			patchSpec.some(opDef => (opDef.op !== 'test')))
+			expectedVersion++;
+
+		return res;
+	});
+}
+
+/**
+ * Composed operation.
+ *
+ * @private
+ * @typedef {Object} module:x2node-patches~ComposedOperation
+ * @property {Object} def Operation definition.
+ * @property {Array.<module:x2node-patches~Primitive>} prims Operation
+ * primitives.
+ */
+
+/**
+ * Make one elimination pass over the operations.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record type
+ * descriptor.
+ * @param {Array.<module:x2node-patches~ComposedOperation>} ops The operations.
+ * Modified in place.
+ * @returns {boolean} <code>true</code> if anything was eliminated.
+ */
+function eliminateRedundant(recordTypeDesc, ops) {
+
+	let changed = false;
+	for (let i = 0; i < ops.length; i++) {
+		const op = ops[i];
+
+		// eliminate moves onto itself
+		if ((op.def.op === 'move') && (op.def.from === op.def.path)) {
+			ops.splice(i--, 1);
+			changed = true;
+			continue;
+		}
+
+		// only set, insert and delete operations with a single location
+		const prim = op.prims[0];
+		if ((op.prims.length !== 1) || (prim.type === 'read') ||
+			UPDATE_OPS.has(op.def.op))
+			continue;
+		const loc = prim.loc;
+		const arrayElement = loc.arrayIndexes[loc.arrayIndexes.length - 1];
+
+		// scan the following operations
+		for (let k = i + 1; k < ops.length; k++) {
+			const nextOp = ops[k];
+			const nextPrim = (nextOp.prims.length === 1 ? nextOp.prims[0] : null);
+
+			// fold operations on the value set by the operation
+			if ((prim.type !== 'delete') &&
+				nextOp.prims.every(p => pointerTransform.isUnder(p.loc, loc, true))) {
+				if (!foldOperation(op, nextOp, loc.tokens.length))
+					break;
+				ops.splice(k--, 1);
+				changed = true;
+				continue;
+			}
+
+			// check if the same location
+			if (nextPrim && !UPDATE_OPS.has(nextOp.def.op) &&
+				pointerTransform.isSameLocation(nextPrim.loc, loc)) {
+				if (prim.type === 'insert') {
+					if (nextPrim.type === 'delete') {
+						ops.splice(k, 1);
+						ops.splice(i--, 1);
+						changed = true;
+						break;
+					}
+					if (nextOp.def.op === 'replace') {
+						op.def.value = nextOp.def.value;
+						ops.splice(k--, 1);
+						changed = true;
+						continue;
+					}
+				} else if (prim.type === 'set') {
+					if ((nextPrim.type === 'set') || (
+						(nextPrim.type === 'delete') &&
+							(arrayElement || !isMapElement(recordTypeDesc, loc)))) {
+						ops.splice(i--, 1);
+						changed = true;
+						break;
+					}
+				} else if (!arrayElement && (nextPrim.type === 'set')) {
+					ops.splice(i--, 1);
+					changed = true;
+					break;
+				}
+			}
+
+			// stop if the operation interferes with the location
+			if (interferes(nextOp, loc))
+				break;
+		}
+	}
+
+	return changed;
+}
+
+/**
+ * Tell if the location is a map element.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record type
+ * descriptor.
+ * @param {module:x2node-patches~Location} loc The location.
+ * @returns {boolean} <code>true</code> if map element.
+ */
+function isMapElement(recordTypeDesc, loc) {
+
+	const ptr = selectorPointer.parse(
+		recordTypeDesc, pointerTransform.formatLocation(loc));
+
+	return (ptr.collectionElement && ptr.propDesc.isMap());
+}
+
+/**
+ * Tell if the operation reads, modifies or shifts the specified location.
+ *
+ * @private
+ * @param {module:x2node-patches~ComposedOperation} op The operation.
+ * @param {module:x2node-patches~Location} loc The location.
+ * @returns {boolean} <code>true</code> if interferes.
+ */
+function interferes(op, loc) {
+
+	if (op.def.op === 'merge')
+		return true;
+
+	return op.prims.some(p => pointerTransform.affects(p, loc));
+}
+
+/**
+ * Fold operation on a part of a value set by another operation into that
+ * operation's value.
+ *
+ * @private
+ * @param {module:x2node-patches~ComposedOperation} op The operation that sets
+ * the value.
+ * @param {module:x2node-patches~ComposedOperation} nextOp The operation to
+ * fold.
+ * @param {number} depth Number of tokens in the value location.
+ * @returns {boolean} <code>true</code> if folded, <code>false</code> if the
+ * operation cannot be folded.
+ */
+function foldOperation(op, nextOp, depth) {
+
+	const rel = p => ({
+		tokens: p.loc.tokens.slice(depth),
+		arrayIndexes: p.loc.arrayIndexes.slice(depth),
+		selectors: p.loc.selectors.slice(depth)
+	});
+
+	const holder = [ recordPatchBuilder.copyValue(op.def.value) ];
+	const root = {
+		tokens: [ 0 ],
+		arrayIndexes: [ true ],
+		selectors: [ undefined ]
+	};
+	const loc = p => {
+		const r = rel(p);
+		return resolveSelectors(holder, {
+			tokens: root.tokens.concat(r.tokens),
+			arrayIndexes: root.arrayIndexes.concat(r.arrayIndexes),
+			selectors: root.selectors.concat(r.selectors)
+		});
+	};
+
+	try {
+		let value;
+		switch (nextOp.def.op) {
+		case 'add':
+			addValue(holder, loc(nextOp.prims[0]), nextOp.def.value, true);
+			break;
+		case 'replace':
+			addValue(holder, loc(nextOp.prims[0]), nextOp.def.value, false);
+			break;
+		case 'remove':
+			removeValue(holder, loc(nextOp.prims[0]));
+			break;
+		case 'move':
+			value = removeValue(holder, loc(nextOp.prims[0]));
+			addValue(holder, loc(nextOp.prims[1]), value, true);
+			break;
+		case 'copy':
+			value = recordPatchBuilder.copyValue(
+				getValue(holder, loc(nextOp.prims[0])));
+			addValue(holder, loc(nextOp.prims[1]), value, true);
+			break;
+		default:
+			return false;
+		}
+	} catch (err) {
+		if (err instanceof common.X2DataError)
+			return false;
+		throw err;
+	}
+
+	op.def.value = holder[0];
+
+	return true;
+}
+
+/**
+ * Replace id selectors in the location with the indexes of the selected
+ * elements in the value.
+ *
+ * @private
+ * @param {Array} holder Array, the only element of which is the value.
+ * @param {module:x2node-patches~Location} loc Location relative to the holder.
+ * @returns {module:x2node-patches~Location} Location without id selectors.
+ * @throws {module:x2node-common.X2DataError} If an array in the value does not
+ * have an element with the selected id.
+ */
+function resolveSelectors(holder, loc) {
+
+	if (!loc.selectors.some(selector => selector))
+		return loc;
+
+	const len = loc.tokens.length;
+	const resolved = {
+		tokens: loc.tokens.slice(),
+		arrayIndexes: loc.arrayIndexes.slice(),
+		selectors: new Array(len)
+	};
+	let obj = holder;
+	for (let i = 0; i < len; i++) {
+		const selector = loc.selectors[i];
+		if (selector) {
+			const ind = (Array.isArray(obj) ? obj.findIndex(el => (
+				((typeof el) === 'object') && (el !== null) &&
+					(el[selector.idPropName] === selector.id)
+			)) : -1);
+			if (ind < 0)
+				throw new common.X2DataError('No element with the id.');
+			resolved.tokens[i] = ind;
+			resolved.arrayIndexes[i] = true;
+		}
+		obj = (
+			((typeof obj) === 'object') && (obj !== null) ?
+				obj[token(resolved, i)] : undefined);
+	}
+
+	return resolved;
+}
+
+/**
+ * Get the container that holds the value at the location.
+ *
+ * @private
+ * @param {Array} holder Array, the only element of which is the value.
+ * @param {module:x2node-patches~Location} loc Location relative to the holder.
+ * @returns {(Object|Array)} The container.
+ * @throws {module:x2node-common.X2DataError} If the container does not exist.
+ */
+function getContainer(holder, loc) {
+
+	let obj = holder;
+	for (let i = 0, len = loc.tokens.length - 1; i < len; i++) {
+		obj = obj[token(loc, i)];
+		if (((typeof obj) !== 'object') || (obj === null))
+			throw new common.X2DataError('No container.');
+	}
+
+	return obj;
+}
+
+/**
+ * Get value at the location.
+ *
+ * @private
+ * @param {Array} holder Array, the only element of which is the value.
+ * @param {module:x2node-patches~Location} loc Location relative to the holder.
+ * @returns {*} The value.
+ * @throws {module:x2node-common.X2DataError} If no value.
+ */
+function getValue(holder, loc) {
+
+	const val = getContainer(holder, loc)[token(loc, loc.tokens.length - 1)];
+	if (val === undefined)
+		throw new common.X2DataError('No value.');
+
+	return val;
+}
+
+/**
+ * Add or replace value at the location.
+ *
+ * @private
+ * @param {Array} holder Array, the only element of which is the value.
+ * @param {module:x2node-patches~Location} loc Location relative to the holder.
+ * @param {*} value The value.
+ * @param {boolean} insert <code>true</code> to insert array elements.
+ * @throws {module:x2node-common.X2DataError} If the location is invalid.
+ */
+function addValue(holder, loc, value, insert) {
+
+	const container = getContainer(holder, loc);
+	const last = loc.tokens.length - 1;
+	const t = token(loc, last);
+	if (loc.arrayIndexes[last]) {
+		if (!Array.isArray(container))
+			throw new common.X2DataError('Not an array.');
+		if (t === '-') {
+			if (!insert)
+				throw new common.X2DataError('Dash index.');
+			container.push(value);
+		} else if (t < container.length) {
+			container.splice(t, (insert ? 0 : 1), value);
+		} else {
+			throw new common.X2DataError('Array index is out of bounds.');
+		}
+	} else {
+		container[t] = value;
+	}
+}
+
+/**
+ * Remove value at the location.
+ *
+ * @private
+ * @param {Array} holder Array, the only element of which is the value.
+ * @param {module:x2node-patches~Location} loc Location relative to the holder.
+ * @returns {*} The removed value.
+ * @throws {module:x2node-common.X2DataError} If no value.
+ */
+function removeValue(holder, loc) {
+
+	const val = getValue(holder, loc);
+	const container = getContainer(holder, loc);
+	const last = loc.tokens.length - 1;
+	if (loc.arrayIndexes[last]) {
+		if (token(loc, last) === '-')
+			throw new common.X2DataError('Dash index.');
+		container.splice(token(loc, last), 1);
+	} else {
+		delete container[token(loc, last)];
+	}
+
+	return val;
+}
+
+/**
+ * Get unescaped location token.
+ *
+ * @private
+ * @param {module:x2node-patches~Location} loc The location.
+ * @param {number} i Token index.
+ * @returns {(string|number)} The token.
+ */
+function token(loc, i) {
+
+	const t = loc.tokens[i];
+	if (loc.arrayIndexes[i])
+		return t;
+
+	return t.replace(/~[01]/g, m => (m === '~0' ? '~' : '/'));
+}
+
+// export the compose function
+exports.compose = compose;
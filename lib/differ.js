@@ -2,6 +2,27 @@
 
 const common = require('x2node-common');
 
+const recordPatchBuilder = require('./record-patch-builder.js');
+
+
+/**
+ * Maximum size of the tables used to find minimal edit script for simple value
+ * arrays and the best element matching for nested object arrays. Larger arrays
+ * are diffed using simpler algorithms.
+ *
+ * @private
+ * @constant {number}
+ */
+const MAX_MINIMAL_DIFF_CELLS = 1000000;
+
+/**
+ * Minimum similarity score (share of the equal properties) of two nested
+ * objects for them to be matched by similarity.
+ *
+ * @private
+ * @constant {number}
+ */
+const MIN_SIMILARITY = 0.5;
 
 /**
  * Build patch specification by analyzing the difference between two record
@@ -12,10 +33,14 @@ const common = require('x2node-common');
  * example, the function does not check if properties are modifiable or
  * optional. Attempt to build a patch from the resulting specification will
  * reveal the error. The array properties are assumed to be sorted using the
- * same criteria in both old and new records. Elements of nested object arrays
- * must have id property. All elements in the old record must have an id value.
+ * same criteria in both old and new records. Unless a different matching
+ * strategy is specified in the options, elements of nested object arrays must
+ * have id property. All elements in the old record must have an id value.
  * Elements in the new record without the id or with an id that is not found in
- * the old array are assumed to be new and are inserted.
+ * the old array are assumed to be new and are inserted. If the record type has
+ * a version meta-info property and the original record has a version, the
+ * resulting patch starts with a "test" operation for the version, so that the
+ * patch is versioned (see [build()]{@link module:x2node-patches.build}).
  *
  * @function module:x2node-patches.fromDiff
  * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
@@ -23,18 +48,55 @@ const common = require('x2node-common');
  * @param {string} recordTypeName Name of the record type.
  * @param {Object} recOld Original record.
  * @param {Object} recNew New record.
+ * @param {Object} [options] Diff options.
+ * @param {boolean} [options.idSelectors] If <code>true</code>, existing nested
+ * object array elements are addressed in the generated pointers by their ids
+ * using id selectors (for example, "/items/#42/quantity") rather than by their
+ * indexes. New elements are still inserted at array indexes.
+ * @param {boolean} [options.detectMoves] If <code>true</code>, reordered array
+ * elements are detected (by id or using the matching strategy specified
+ * with the <code>elementMatching</code> option for nested object arrays and by
+ * value for simple value arrays) and "move" operations are generated for them instead
+ * of removing and inserting them again. Changes in the moved nested objects
+ * are generated after all the moves, at the elements' final positions. The
+ * array properties in the old and new records do not have to be sorted using
+ * the same criteria in this mode.
+ * @param {boolean} [options.minimalArrayDiff] If <code>true</code>, simple value
+ * arrays are diffed using an algorithm that generates the minimal number of
+ * "add", "remove" and "replace" operations. The algorithm takes time and memory
+ * proportional to the product of the array lengths (after skipping the common
+ * leading and trailing elements), so for very large arrays it falls back to the
+ * regular algorithm.
+ * @param {Object.<string,(string|Array.<string>)>} [options.elementMatching]
+ * Strategies for matching elements of nested object arrays, keyed by the array
+ * property paths (in dot notation). By default, the elements are matched by
+ * their ids and the nested objects without id property are not supported. A
+ * strategy can be "position" to match the elements at the same array indexes,
+ * "similarity" to match the elements that have at least half of their property
+ * values equal (preferring the most similar ones and preserving the elements
+ * order), or an array of nested property names that form the elements' natural
+ * key. The matched elements are diffed recursively. The
+ * <code>idSelectors</code> option does not apply to arrays, for which a
+ * strategy is specified.
+ * @param {(boolean|Array.<string>)} [options.unorderedArrays] Either
+ * <code>true</code> to treat all simple value arrays as unordered sets of
+ * distinct values, or a list of paths (in dot notation) of the simple value
+ * array properties to treat that way. For such arrays, the order of the
+ * elements is ignored and only "remove-value" operations for the values that
+ * are missing in the new array and "add-unique" operations for the values that
+ * are missing in the original array are generated.
  * @returns {Array.<Object>} RFC 6902 JSON patch specification, which, when
  * applied to <code>recOld</code> updates it to become identical to
  * <code>recNew</code>.
  * @throws {module:x2node-common.X2UsageError} If the provided record type name
- * is invalid, or the specified old record object is not an object or is
- * <code>null</code>.
+ * is invalid, the specified old record object is not an object or is
+ * <code>null</code>, or the options are invalid.
  * @throws {module:x2node-common.X2SyntaxError} If the provided new record
  * object is not an object, is <code>null</code>, or contains invalid property
  * values. Note, that the validity of the specified old object property
  * values is not checked and is assumed to be always valid and complete.
  */
-function fromDiff(recordTypes, recordTypeName, recOld, recNew) {
+function fromDiff(recordTypes, recordTypeName, recOld, recNew, options) {
 
 	// get the record type descriptor
 	if (!recordTypes.hasRecordType(recordTypeName))
@@ -47,12 +109,35 @@ function fromDiff(recordTypes, recordTypeName, recOld, recNew) {
 		throw new common.X2UsageError(
 			'Specified original record is not a non-null object.');
 	if (((typeof recNew) !== 'object') || (recNew === null))
-		throw new common.X2SyntaxError(
-			'Specified new record is not a non-null object.');
+		throw recordPatchBuilder.patchSyntaxError(
+			'DIFF_NOT_OBJECT', 'Specified new record is not a non-null object.',
+			'');
+
+	// check the options
+	const unorderedArrays = (options && options.unorderedArrays);
+	if ((unorderedArrays !== undefined) &&
+		((typeof unorderedArrays) !== 'boolean') &&
+		!Array.isArray(unorderedArrays))
+		throw new common.X2UsageError(
+			'Unordered arrays option must be a Boolean or an array of' +
+				' property paths.');
 
 	// build patch specification
 	const patchSpec = new Array();
-	diffObjects(recordTypeDesc, '/', recOld, recNew, patchSpec);
+	diffObjects(
+		recordTypeDesc, '/', recOld, recNew, patchSpec, (options || {}));
+
+	// make the patch versioned if the original record has version
+	const versionPropName = recordPatchBuilder.getMetaInfoPropName(
+		recordTypeDesc, 'version');
+	if (versionPropName && (patchSpec.length > 0) &&
+		(recOld[versionPropName] !== undefined) &&
+		(recOld[versionPropName] !== null))
+		patchSpec.unshift({
+			op: 'test',
+			path: `/${versionPropName}`,
+			value: recOld[versionPropName]
+		});
 
 	// return the patch specification
 	return patchSpec;
@@ -70,8 +155,10 @@ function fromDiff(recordTypes, recordTypeName, recOld, recNew) {
  * @param {Object} objNew New object.
  * @param {Array.<Object>} patchSpec The patch specification, to which to add
  * generated operations.
+ * @param {Object} options Diff options.
  */
-function diffObjects(container, pathPrefix, objOld, objNew, patchSpec) {
+function diffObjects(
+	container, pathPrefix, objOld, objNew, patchSpec, options) {
 
 	// keep track of processed properties
 	const unrecognizedPropNames = new Set(Object.keys(objNew));
@@ -80,7 +167,7 @@ function diffObjects(container, pathPrefix, objOld, objNew, patchSpec) {
 	diffObjectProps(
 		container, pathPrefix,
 		objOld, objNew,
-		unrecognizedPropNames, patchSpec);	
+		unrecognizedPropNames, patchSpec, options);
 
 	// check if polymorphic object and check the subtype properties
 	if (container.isPolymorphObject()) {
@@ -91,22 +178,25 @@ function diffObjects(container, pathPrefix, objOld, objNew, patchSpec) {
 		// match the subtype
 		const subtype = objOld[container.typePropertyName];
 		if (objNew[container.typePropertyName] !== subtype)
-			throw new common.X2SyntaxError(
-				'Polymorphic object type does not match.');
+			throw recordPatchBuilder.patchSyntaxError(
+				'DIFF_SUBTYPE_MISMATCH', 'Polymorphic object type does not match.',
+				pathPrefix.substring(0, pathPrefix.length - 1));
 
 		// go over the subtype properties
 		const subtypeDesc = container.getPropertyDesc(subtype);
 		diffObjectProps(
 			subtypeDesc.nestedProperties, `${pathPrefix}${subtype}:`,
 			objOld, objNew,
-			unrecognizedPropNames, patchSpec);
+			unrecognizedPropNames, patchSpec, options);
 	}
 
 	// any unrecognized properties?
 	if (unrecognizedPropNames.size > 0)
-		throw new common.X2SyntaxError(
+		throw recordPatchBuilder.patchSyntaxError(
+			'DIFF_UNRECOGNIZED_PROPERTY',
 			`Unrecognized properties for ${container.recordTypeName}` +
-			` at ${pathPrefix}:` + Array.from(unrecognizedPropNames).join(', '));
+			` at ${pathPrefix}:` + Array.from(unrecognizedPropNames).join(', '),
+			pathPrefix.substring(0, pathPrefix.length - 1));
 }
 
 /**
@@ -125,9 +215,11 @@ function diffObjects(container, pathPrefix, objOld, objNew, patchSpec) {
  * object.
  * @param {Array.<Object>} patchSpec The patch specification, to which to add
  * generated operations.
+ * @param {Object} options Diff options.
  */
 function diffObjectProps(
-	container, pathPrefix, objOld, objNew, unrecognizedPropNames, patchSpec) {
+	container, pathPrefix, objOld, objNew, unrecognizedPropNames, patchSpec,
+	options) {
 
 	// check each property
 	for (let propName of container.allPropertyNames) {
@@ -162,9 +254,11 @@ function diffObjectProps(
 		if (propDesc.isArray()) {
 
 			if (!Array.isArray(valNew))
-				throw new common.X2SyntaxError(
+				throw recordPatchBuilder.patchSyntaxError(
+					'PATCH_INVALID_VALUE_TYPE',
 					`Provided value for ${container.recordTypeName} property` +
-					` at ${pathPrefix}${propName} is not an array.`);
+					` at ${pathPrefix}${propName} is not an array.`,
+					`${pathPrefix}${propName}`, 'array');
 
 			if (valNew.length === 0) {
 				if ((valOld !== undefined) && (valOld !== null) &&
@@ -182,9 +276,22 @@ function diffObjectProps(
 				});
 			} else {
 				if (propDesc.scalarValueType === 'object')
-					diffObjectArrays(
+					(options.detectMoves ?
+						diffObjectArraysWithMoves : diffObjectArrays)(
+						propDesc, `${pathPrefix}${propName}`, valOld, valNew,
+						patchSpec, options);
+				else if (isUnorderedArray(
+					options, `${container.nestedPath}${propName}`))
+					diffValueSets(
 						propDesc, `${pathPrefix}${propName}`, valOld, valNew,
 						patchSpec);
+				else if (options.detectMoves)
+					diffArraysWithMoves(
+						`${pathPrefix}${propName}`, valOld, valNew, valOld,
+						valNew, ind => ind, patchSpec);
+				else if (options.minimalArrayDiff)
+					diffValueArraysMinimal(
+						`${pathPrefix}${propName}`, valOld, valNew, patchSpec);
 				else
 					diffValueArrays(
 						`${pathPrefix}${propName}`, valOld, valNew, patchSpec);
@@ -193,9 +300,11 @@ function diffObjectProps(
 		} else if (propDesc.isMap()) {
 
 			if ((typeof valNew) !== 'object')
-				throw new common.X2SyntaxError(
+				throw recordPatchBuilder.patchSyntaxError(
+					'PATCH_INVALID_VALUE_TYPE',
 					`Provided value for ${container.recordTypeName} property` +
-					` at ${pathPrefix}${propName} is not an object.`);
+					` at ${pathPrefix}${propName} is not an object.`,
+					`${pathPrefix}${propName}`, 'object');
 
 			if (Object.keys(valNew).length === 0) {
 				if ((valOld !== undefined) && (valOld !== null) &&
@@ -214,15 +323,17 @@ function diffObjectProps(
 			} else {
 				diffMaps(
 					propDesc, `${pathPrefix}${propName}`, valOld, valNew,
-					patchSpec);
+					patchSpec, options);
 			}
 
 		} else if (propDesc.scalarValueType === 'object') {
 
 			if ((typeof valNew) !== 'object')
-				throw new common.X2SyntaxError(
+				throw recordPatchBuilder.patchSyntaxError(
+					'PATCH_INVALID_VALUE_TYPE',
 					`Provided value for ${container.recordTypeName} property` +
-					` at ${pathPrefix}${propName} is not an object.`);
+					` at ${pathPrefix}${propName} is not an object.`,
+					`${pathPrefix}${propName}`, 'object');
 
 			if ((valOld === undefined) || (valOld === null)) {
 				patchSpec.push({
@@ -233,7 +344,7 @@ function diffObjectProps(
 			} else {
 				diffObjects(
 					propDesc.nestedProperties, `${pathPrefix}${propName}/`,
-					valOld, valNew, patchSpec);
+					valOld, valNew, patchSpec, options);
 			}
 
 		} else {
@@ -366,6 +477,195 @@ function diffValueArrays(propPath, arrOld, arrNew, patchSpec) {
 	}
 }
 
+/**
+ * Tell if simple value array property is treated as an unordered set.
+ *
+ * @private
+ * @param {Object} options Diff options.
+ * @param {string} propPath Property path in dot notation.
+ * @returns {boolean} <code>true</code> if unordered.
+ */
+function isUnorderedArray(options, propPath) {
+
+	const unorderedArrays = options.unorderedArrays;
+
+	return (
+		(unorderedArrays === true) || (
+			Array.isArray(unorderedArrays) && unorderedArrays.includes(propPath))
+	);
+}
+
+/**
+ * Diff two simple value arrays treated as unordered sets of distinct values and
+ * generate corresponding patch operations. The values are compared the same
+ * way the patch operations compare them, so that datetimes are compared by
+ * their time values.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Array property
+ * descriptor.
+ * @param {string} propPath JSON pointer path of the array property.
+ * @param {Array.<*>} arrOld Original array.
+ * @param {Array.<*>} arrNew New array.
+ * @param {Array.<Object>} patchSpec The patch specification, to which to add
+ * generated operations.
+ */
+function diffValueSets(propDesc, propPath, arrOld, arrNew, patchSpec) {
+
+	const valsOld = valueSet(propDesc, arrOld);
+	const valsNew = valueSet(propDesc, arrNew);
+
+	for (let [ key, val ] of valsOld)
+		if (!valsNew.has(key))
+			patchSpec.push({
+				op: 'remove-value',
+				path: propPath,
+				value: val
+			});
+
+	for (let [ key, val ] of valsNew)
+		if (!valsOld.has(key))
+			patchSpec.push({
+				op: 'add-unique',
+				path: propPath,
+				value: val
+			});
+}
+
+/**
+ * Build set of distinct simple values in an array.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Array property
+ * descriptor.
+ * @param {Array.<*>} arr The array.
+ * @returns {Map.<*,*>} Map of the distinct values by their comparison keys,
+ * which are time values for datetimes and the values themselves for anything
+ * else. For repeated values, the first one is kept.
+ */
+function valueSet(propDesc, arr) {
+
+	const isDatetime = (propDesc.scalarValueType === 'datetime');
+	const vals = new Map();
+	for (let val of arr) {
+		const key = (
+			isDatetime && (val !== null) && (val !== undefined) ? (
+				val instanceof Date ? val.getTime() : Date.parse(val)) :
+				val);
+		if (!vals.has(key))
+			vals.set(key, val);
+	}
+
+	return vals;
+}
+
+/**
+ * Diff two simple value arrays and generate the minimal number of patch
+ * operations. The minimal edit script is found using the edit distance table,
+ * in which both element insertions and removals and element replacements count
+ * as single edits. If the table is too large, the regular algorithm is used.
+ *
+ * @private
+ * @param {string} propPath JSON pointer path of the array property.
+ * @param {Array.<*>} arrOld Original array.
+ * @param {Array.<*>} arrNew New array.
+ * @param {Array.<Object>} patchSpec The patch specification, to which to add
+ * generated operations.
+ */
+function diffValueArraysMinimal(propPath, arrOld, arrNew, patchSpec) {
+
+	// skip common leading and trailing elements
+	const lenOld = arrOld.length, lenNew = arrNew.length;
+	const minLen = Math.min(lenOld, lenNew);
+	let head = 0;
+	while ((head < minLen) && (arrOld[head] === arrNew[head]))
+		head++;
+	let tail = 0;
+	while ((tail < minLen - head) &&
+		(arrOld[lenOld - tail - 1] === arrNew[lenNew - tail - 1]))
+		tail++;
+	const n = lenOld - head - tail, m = lenNew - head - tail;
+
+	// fall back to the regular algorithm if too large
+	if ((n + 1) * (m + 1) > MAX_MINIMAL_DIFF_CELLS)
+		return diffValueArrays(propPath, arrOld, arrNew, patchSpec);
+
+	// build edit distance table for the remaining parts
+	const w = m + 1;
+	const dist = new Uint32Array((n + 1) * w);
+	for (let i = 0; i <= n; i++)
+		dist[i * w] = i;
+	for (let j = 0; j <= m; j++)
+		dist[j] = j;
+	for (let i = 1; i <= n; i++) {
+		for (let j = 1; j <= m; j++) {
+			const diag = dist[(i - 1) * w + j - 1];
+			dist[i * w + j] = (
+				arrOld[head + i - 1] === arrNew[head + j - 1] ? diag :
+					1 + Math.min(
+						diag, dist[(i - 1) * w + j], dist[i * w + j - 1]));
+		}
+	}
+
+	// trace the edit script back from the end
+	const edits = new Array();
+	for (let i = n, j = m; (i > 0) || (j > 0);) {
+		const d = dist[i * w + j];
+		if ((i > 0) && (j > 0) &&
+			(arrOld[head + i - 1] === arrNew[head + j - 1])) {
+			edits.push('keep');
+			i--;
+			j--;
+		} else if ((i > 0) && (j > 0) && (d === dist[(i - 1) * w + j - 1] + 1)) {
+			edits.push('replace');
+			i--;
+			j--;
+		} else if ((i > 0) && (d === dist[(i - 1) * w + j] + 1)) {
+			edits.push('remove');
+			i--;
+		} else {
+			edits.push('add');
+			j--;
+		}
+	}
+
+	// generate the operations
+	let t = head, iNew = head, len = lenOld;
+	for (let k = edits.length - 1; k >= 0; k--) {
+		switch (edits[k]) {
+		case 'keep':
+			iNew++;
+			t++;
+			break;
+		case 'replace':
+			patchSpec.push({
+				op: 'replace',
+				path: `${propPath}/${t}`,
+				value: arrNew[iNew]
+			});
+			iNew++;
+			t++;
+			break;
+		case 'remove':
+			patchSpec.push({
+				op: 'remove',
+				path: `${propPath}/${t}`
+			});
+			len--;
+			break;
+		default: // add
+			patchSpec.push({
+				op: 'add',
+				path: `${propPath}/${t < len ? t : '-'}`,
+				value: arrNew[iNew]
+			});
+			len++;
+			iNew++;
+			t++;
+		}
+	}
+}
+
 /**
  * Recursively diff two nested object arrays and generate corresponding patch
  * operations.
@@ -378,57 +678,69 @@ function diffValueArrays(propPath, arrOld, arrNew, patchSpec) {
  * @param {Array.<Object>} arrNew New array.
  * @param {Array.<Object>} patchSpec The patch specification, to which to add
  * generated operations.
+ * @param {Object} options Diff options.
  */
-function diffObjectArrays(propDesc, propPath, arrOld, arrNew, patchSpec) {
+function diffObjectArrays(
+	propDesc, propPath, arrOld, arrNew, patchSpec, options) {
 
-	const idPropName = propDesc.nestedProperties.idPropertyName;
-	if (!idPropName)
-		throw new common.X2UsageError(
-			'Nested object elements without id property are not supported.');
+	const keys = getElementKeys(propDesc, arrOld, arrNew, options);
+	const keysOld = keys.keysOld, keysNew = keys.keysNew;
 
 	let iOld = 0, iNew = 0, t = 0;
 	const lenOld = arrOld.length, lenNew = arrNew.length;
 
+	// an id selector would also match a new element inserted with the same id
+	const addedKeys = new Set();
+	const elementToken = (ind, iOldEl) => (
+		addedKeys.has(keysOld[iOldEl]) ?
+			ind : keys.elementToken(ind, arrOld[iOldEl]));
+	const addElement = () => {
+		patchSpec.push({
+			op: 'add',
+			path: `${propPath}/${t}`,
+			value: arrNew[iNew]
+		});
+		addedKeys.add(keysNew[iNew]);
+		iNew++;
+		t++;
+	};
+
 	while ((iOld < lenOld) && (iNew < lenNew)) {
 
 		const valOld = arrOld[iOld];
-		const valOldId = valOld[idPropName];
+		const valOldKey = keysOld[iOld];
 		const valNew = arrNew[iNew];
 
-		if (valOldId === valNew[idPropName]) {
+		if (valOldKey === keysNew[iNew]) {
 			diffObjects(
-				propDesc.nestedProperties, `${propPath}/${t}/`,
-				valOld, valNew, patchSpec);
+				propDesc.nestedProperties,
+				`${propPath}/${elementToken(t, iOld)}/`,
+				valOld, valNew, patchSpec, options);
 			iOld++;
 			iNew++;
 			t++;
 		} else {
 			const si = iOld;
 			let di = iNew;
-			while ((di < lenNew) && (arrNew[di][idPropName] !== valOldId))
+			while ((di < lenNew) && (keysNew[di] !== valOldKey))
 				di++;
 			if (di < lenNew) {
 				while (iNew < di) {
-					patchSpec.push({
-						op: 'add',
-						path: `${propPath}/${t}`,
-						value: arrNew[iNew]
-					});
-					iNew++;
-					t++;
+					addElement();
 				}
 				diffObjects(
-					propDesc.nestedProperties, `${propPath}/${t}/`,
-					valOld, arrNew[iNew], patchSpec);
+					propDesc.nestedProperties,
+					`${propPath}/${elementToken(t, iOld)}/`,
+					valOld, arrNew[iNew], patchSpec, options);
 				iOld++;
 				iNew++;
 				t++;
 			} else {
 				let sni = si + 1;
 				while (sni < lenOld) {
-					const vId = arrOld[sni][idPropName];
+					const vKey = keysOld[sni];
 					for (di = iNew; di < lenNew; di++) {
-						if (arrNew[di][idPropName] === vId)
+						if (keysNew[di] === vKey)
 							break;
 					}
 					if (di < lenNew) {
@@ -441,22 +753,18 @@ function diffObjectArrays(propDesc, propPath, arrOld, arrNew, patchSpec) {
 					while (iOld < sni) {
 						patchSpec.push({
 							op: 'remove',
-							path: `${propPath}/${t + sni - iOld - 1}`
+							path: `${propPath}/${elementToken(
+								t + sni - iOld - 1, sni - iOld - 1 + si)}`
 						});
 						iOld++;
 					}
 					while (iNew < di) {
-						patchSpec.push({
-							op: 'add',
-							path: `${propPath}/${t}`,
-							value: arrNew[iNew]
-						});
-						iNew++;
-						t++;
+						addElement();
 					}
 					diffObjects(
-						propDesc.nestedProperties, `${propPath}/${t}/`,
-						arrOld[iOld], arrNew[iNew], patchSpec);
+						propDesc.nestedProperties,
+						`${propPath}/${elementToken(t, iOld)}/`,
+						arrOld[iOld], arrNew[iNew], patchSpec, options);
 					iOld++;
 					iNew++;
 					t++;
@@ -466,10 +774,12 @@ function diffObjectArrays(propDesc, propPath, arrOld, arrNew, patchSpec) {
 			}
 		}
 	}
+	const iOldLast = iOld;
 	while (iOld++ < lenOld) {
 		patchSpec.push({
 			op: 'remove',
-			path: `${propPath}/${t + lenOld - iOld}`
+			path: `${propPath}/${elementToken(
+				t + lenOld - iOld, lenOld - iOld + iOldLast)}`
 		});
 	}
 	while (iNew < lenNew) {
@@ -482,6 +792,370 @@ function diffObjectArrays(propDesc, propPath, arrOld, arrNew, patchSpec) {
 	}
 }
 
+/**
+ * Recursively diff two nested object arrays detecting moved elements and
+ * generate corresponding patch operations.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Descriptor of the
+ * nested objects array property.
+ * @param {string} propPath JSON pointer path of the array property.
+ * @param {Array.<Object>} arrOld Original array.
+ * @param {Array.<Object>} arrNew New array.
+ * @param {Array.<Object>} patchSpec The patch specification, to which to add
+ * generated operations.
+ * @param {Object} options Diff options.
+ */
+function diffObjectArraysWithMoves(
+	propDesc, propPath, arrOld, arrNew, patchSpec, options) {
+
+	const keys = getElementKeys(propDesc, arrOld, arrNew, options);
+	const elementToken = keys.elementToken;
+
+	// move the elements into place
+	const matches = diffArraysWithMoves(
+		propPath, arrOld, arrNew, keys.keysOld, keys.keysNew, elementToken,
+		patchSpec);
+
+	// diff the matched elements at their final positions
+	matches.forEach((iOld, iNew) => {
+		if (iOld >= 0)
+			diffObjects(
+				propDesc.nestedProperties,
+				`${propPath}/${elementToken(iNew, arrOld[iOld])}/`,
+				arrOld[iOld], arrNew[iNew], patchSpec, options);
+	});
+}
+
+/**
+ * Diff two arrays detecting moved elements and generate patch operations that
+ * remove, insert and move the elements so that the elements of the original
+ * array end up in the same order as in the new array. Elements are matched by
+ * keys, the first original element with a given key matching the first new
+ * element with the same key, and so on. The elements that form the longest
+ * sequence already in the correct relative order are left in place, and all
+ * other matched elements are moved.
+ *
+ * @private
+ * @param {string} propPath JSON pointer path of the array property.
+ * @param {Array} arrOld Original array.
+ * @param {Array} arrNew New array.
+ * @param {Array} keysOld Keys of the original array elements.
+ * @param {Array} keysNew Keys of the new array elements. Elements with
+ * <code>undefined</code> or <code>null</code> keys are never matched.
+ * @param {function} elementToken Function that receives the element index and
+ * the original element and returns the pointer token to use to address an
+ * existing element.
+ * @param {Array.<Object>} patchSpec The patch specification, to which to add
+ * generated operations.
+ * @returns {Array.<number>} For each element of the new array, index of the
+ * matched element in the original array, or -1 if new.
+ */
+function diffArraysWithMoves(
+	propPath, arrOld, arrNew, keysOld, keysNew, elementToken, patchSpec) {
+
+	// match new elements with the original ones
+	const oldIndexesByKey = new Map();
+	keysOld.forEach((key, iOld) => {
+		const iOlds = oldIndexesByKey.get(key);
+		if (iOlds)
+			iOlds.push(iOld);
+		else
+			oldIndexesByKey.set(key, [ iOld ]);
+	});
+	const matches = keysNew.map(key => {
+		const iOlds = (
+			(key !== undefined) && (key !== null) && oldIndexesByKey.get(key));
+		return (iOlds && (iOlds.length > 0) ? iOlds.shift() : -1);
+	});
+	const newIndexes = new Array(arrOld.length);
+	matches.forEach((iOld, iNew) => {
+		if (iOld >= 0)
+			newIndexes[iOld] = iNew;
+	});
+
+	// remove unmatched original elements, last first
+	for (let iOld = arrOld.length - 1; iOld >= 0; iOld--)
+		if (newIndexes[iOld] === undefined)
+			patchSpec.push({
+				op: 'remove',
+				path: `${propPath}/${elementToken(iOld, arrOld[iOld])}`
+			});
+
+	// current array contents, as new element indexes
+	const current = newIndexes.filter(iNew => (iNew !== undefined));
+	const staying = longestIncreasingSubsequence(current);
+
+	// insert and move elements after their predecessors in the new array
+	const insertionIndex = iNew => (
+		iNew === 0 ? 0 : current.indexOf(iNew - 1) + 1);
+	const insertionToken = ind => (ind < current.length ? ind : '-');
+	arrNew.forEach((el, iNew) => {
+		const iOld = matches[iNew];
+		if (iOld < 0) {
+			const ind = insertionIndex(iNew);
+			patchSpec.push({
+				op: 'add',
+				path: `${propPath}/${insertionToken(ind)}`,
+				value: el
+			});
+			current.splice(ind, 0, iNew);
+		} else if (!staying.has(iNew)) {
+			const fromInd = current.indexOf(iNew);
+			current.splice(fromInd, 1);
+			const ind = insertionIndex(iNew);
+			if (ind !== fromInd)
+				patchSpec.push({
+					op: 'move',
+					from: `${propPath}/${elementToken(fromInd, arrOld[iOld])}`,
+					path: `${propPath}/${insertionToken(ind)}`
+				});
+			current.splice(ind, 0, iNew);
+		}
+	});
+
+	// return the matches
+	return matches;
+}
+
+/**
+ * Find longest strictly increasing subsequence of numbers.
+ *
+ * @private
+ * @param {Array.<number>} seq The sequence.
+ * @returns {Set.<number>} The numbers that form the subsequence.
+ */
+function longestIncreasingSubsequence(seq) {
+
+	// tails[k] is index in seq of the smallest tail of subsequence of length k+1
+	const tails = new Array();
+	const prevs = new Array(seq.length);
+	seq.forEach((num, i) => {
+		let lo = 0, hi = tails.length;
+		while (lo < hi) {
+			const mid = ((lo + hi) >>> 1);
+			if (seq[tails[mid]] < num)
+				lo = mid + 1;
+			else
+				hi = mid;
+		}
+		prevs[i] = (lo > 0 ? tails[lo - 1] : -1);
+		tails[lo] = i;
+	});
+
+	const res = new Set();
+	for (let i = (tails.length > 0 ? tails[tails.length - 1] : -1); i >= 0;
+		i = prevs[i])
+		res.add(seq[i]);
+
+	return res;
+}
+
+/**
+ * Keys used to match elements of the original and the new nested object
+ * arrays.
+ *
+ * @private
+ * @typedef {Object} module:x2node-patches~ElementKeys
+ * @property {Array} keysOld Keys of the original array elements.
+ * @property {Array} keysNew Keys of the new array elements. A new element
+ * matched with an original element has the same key. Unmatched new elements
+ * may have <code>undefined</code> keys.
+ * @property {function} elementToken Function that receives the element index
+ * and the original element and returns the pointer token to use to address an
+ * existing element.
+ */
+
+/**
+ * Get keys used to match elements of the original and the new nested object
+ * arrays according to the matching strategy specified in the diff options.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Descriptor of the
+ * nested objects array property.
+ * @param {Array.<Object>} arrOld Original array.
+ * @param {Array.<Object>} arrNew New array.
+ * @param {Object} options Diff options.
+ * @returns {module:x2node-patches~ElementKeys} The element keys.
+ * @throws {module:x2node-common.X2UsageError} If the nested objects do not
+ * have id property and no strategy is specified, or the strategy is invalid.
+ */
+function getElementKeys(propDesc, arrOld, arrNew, options) {
+
+	const container = propDesc.nestedProperties;
+	const propPath = `${propDesc.container.nestedPath}${propDesc.name}`;
+	const indexToken = ind => ind;
+
+	// get the matching strategy
+	const matching = (options.elementMatching || {})[propPath];
+
+	// match by ids by default
+	if (matching === undefined) {
+		const idPropName = container.idPropertyName;
+		if (!idPropName)
+			throw new common.X2UsageError(
+				'Nested object elements without id property are not' +
+					` supported unless matching strategy for ${propPath} is` +
+					' specified.');
+		return {
+			keysOld: arrOld.map(el => el[idPropName]),
+			keysNew: arrNew.map(el => el[idPropName]),
+			elementToken: (
+				options.idSelectors ?
+					(ind, el) => `#${ptrSafe(String(el[idPropName]))}` :
+					indexToken)
+		};
+	}
+
+	// polymorphic objects of different subtypes are never matched
+	const typePropName = (
+		container.isPolymorphObject() ? container.typePropertyName : undefined);
+
+	// match by natural key
+	if (Array.isArray(matching) && (matching.length > 0) &&
+		matching.every(propName => ((typeof propName) === 'string'))) {
+		const keyPropNames = (
+			typePropName ? [ typePropName ].concat(matching) : matching);
+		const keyOf = el => JSON.stringify(
+			keyPropNames.map(propName => el[propName]));
+		return {
+			keysOld: arrOld.map(keyOf),
+			keysNew: arrNew.map(keyOf),
+			elementToken: indexToken
+		};
+	}
+
+	// match by position or similarity
+	switch (matching) {
+	case 'position':
+		return {
+			keysOld: arrOld.map((el, ind) => ind),
+			keysNew: arrNew.map((el, ind) => (
+				(ind < arrOld.length) && (
+					!typePropName ||
+						(arrOld[ind][typePropName] === el[typePropName])) ?
+					ind : undefined)),
+			elementToken: indexToken
+		};
+	case 'similarity':
+		return {
+			keysOld: arrOld.map((el, ind) => ind),
+			keysNew: matchBySimilarity(container, arrOld, arrNew),
+			elementToken: indexToken
+		};
+	}
+
+	// invalid strategy
+	throw new common.X2UsageError(
+		`Invalid element matching strategy for ${propPath}.`);
+}
+
+/**
+ * Match elements of the original and the new nested object arrays by
+ * similarity. The matching preserves the elements order and maximizes the
+ * total similarity score of the matched elements. If the arrays are too large,
+ * the elements at the same indexes are matched if similar enough.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container The container
+ * that describes the nested objects.
+ * @param {Array.<Object>} arrOld Original array.
+ * @param {Array.<Object>} arrNew New array.
+ * @returns {Array.<number>} For each element of the new array, index of the
+ * matched element in the original array, or <code>undefined</code> if new.
+ */
+function matchBySimilarity(container, arrOld, arrNew) {
+
+	const n = arrOld.length, m = arrNew.length;
+	const keysNew = new Array(m).fill(undefined);
+
+	// match by position if too large
+	if ((n + 1) * (m + 1) > MAX_MINIMAL_DIFF_CELLS) {
+		for (let j = 0; j < Math.min(n, m); j++)
+			if (similarity(container, arrOld[j], arrNew[j]) >= MIN_SIMILARITY)
+				keysNew[j] = j;
+		return keysNew;
+	}
+
+	// build table of the best total scores for the array prefixes
+	const w = m + 1;
+	const scores = new Float64Array(n * m);
+	const best = new Float64Array((n + 1) * w);
+	for (let i = 1; i <= n; i++) {
+		for (let j = 1; j <= m; j++) {
+			const score = similarity(container, arrOld[i - 1], arrNew[j - 1]);
+			scores[(i - 1) * m + j - 1] = score;
+			best[i * w + j] = Math.max(
+				best[(i - 1) * w + j], best[i * w + j - 1],
+				(score >= MIN_SIMILARITY ?
+					best[(i - 1) * w + j - 1] + score : 0));
+		}
+	}
+
+	// trace the matching back from the end
+	for (let i = n, j = m; (i > 0) && (j > 0);) {
+		const score = scores[(i - 1) * m + j - 1];
+		if ((score >= MIN_SIMILARITY) &&
+			(best[i * w + j] === best[(i - 1) * w + j - 1] + score)) {
+			keysNew[j - 1] = i - 1;
+			i--;
+			j--;
+		} else if (best[i * w + j] === best[(i - 1) * w + j]) {
+			i--;
+		} else {
+			j--;
+		}
+	}
+
+	// return the matching
+	return keysNew;
+}
+
+/**
+ * Calculate similarity score of two nested objects, which is the share of the
+ * properties present in either object that have equal values in both.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container The container
+ * that describes the nested objects.
+ * @param {Object} objOld Original object.
+ * @param {Object} objNew New object.
+ * @returns {number} The score from 0 to 1. Objects of different polymorphic
+ * object subtypes always have score 0.
+ */
+function similarity(container, objOld, objNew) {
+
+	let numProps = 0, numEqual = 0;
+	const compareProps = c => {
+		for (let propName of c.allPropertyNames) {
+			const propDesc = c.getPropertyDesc(propName);
+			if (propDesc.isView() || propDesc.isCalculated() ||
+				propDesc.isRecordMetaInfo() || propDesc.isSubtype())
+				continue;
+			const valOld = objOld[propName];
+			const valNew = objNew[propName];
+			const hasOld = ((valOld !== undefined) && (valOld !== null));
+			const hasNew = ((valNew !== undefined) && (valNew !== null));
+			if (!hasOld && !hasNew)
+				continue;
+			numProps++;
+			if (hasOld && hasNew &&
+				recordPatchBuilder.equalPropValues(propDesc, valOld, valNew))
+				numEqual++;
+		}
+	};
+
+	compareProps(container);
+	if (container.isPolymorphObject()) {
+		const subtype = objOld[container.typePropertyName];
+		if (objNew[container.typePropertyName] !== subtype)
+			return 0;
+		compareProps(container.getPropertyDesc(subtype).nestedProperties);
+	}
+
+	return (numProps > 0 ? numEqual / numProps : 1);
+}
+
 /**
  * Recursively diff two maps and generate corresponding patch operations.
  *
@@ -493,8 +1167,9 @@ function diffObjectArrays(propDesc, propPath, arrOld, arrNew, patchSpec) {
  * @param {Object.<string,*>} mapNew New map.
  * @param {Array.<Object>} patchSpec The patch specification, to which to add
  * generated operations.
+ * @param {Object} options Diff options.
  */
-function diffMaps(propDesc, propPath, mapOld, mapNew, patchSpec) {
+function diffMaps(propDesc, propPath, mapOld, mapNew, patchSpec, options) {
 
 	const objects = (propDesc.scalarValueType === 'object');
 
@@ -522,7 +1197,7 @@ function diffMaps(propDesc, propPath, mapOld, mapNew, patchSpec) {
 			diffObjects(
 				propDesc.nestedProperties,
 				`${propPath}/${ptrSafe(key)}/`,
-				valOld, valNew, patchSpec);
+				valOld, valNew, patchSpec, options);
 		} else if (valNew !== valOld) {
 			patchSpec.push({
 				op: 'replace',
@@ -553,3 +1228,6 @@ function ptrSafe(str) {
 
 // export the differ function
 exports.fromDiff = fromDiff;
+
+// export internal diff functions for the other module components
+exports.diffObjects = diffObjects;
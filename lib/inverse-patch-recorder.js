@@ -0,0 +1,178 @@
+'use strict';
+
+const common = require('x2node-common');
+
+const recordPatchBuilder = require('./record-patch-builder.js');
+
+
+/**
+ * Record patch handlers implementation that records the changes made to the
+ * record by the patch and builds the inverse (undo) patch specification out of
+ * them. The recorder can optionally delegate the notifications to another
+ * handlers object. Automatic record meta-info property updates are not undone.
+ * Instead, if the patch updates the record version, the inverse patch starts
+ * with a "test" operation for the updated version, which makes the inverse
+ * patch versioned. The recorder tracks the record state on its own copy of the
+ * record using the changes reported to it, so it can be used with patches
+ * applied using any of the patch's apply methods, including
+ * [applyImmutable()]{@link module:x2node-patches~RecordPatch#applyImmutable}.
+ *
+ * @memberof module:x2node-patches
+ * @inner
+ * @implements {module:x2node-patches.RecordPatchHandlers}
+ */
+class InversePatchRecorder {
+
+	/**
+	 * <strong>Note:</strong> The constructor is not accessible from the client
+	 * code. The instances are created using module's
+	 * [createInverseRecorder()]{@link module:x2node-patches.createInverseRecorder}
+	 * function.
+	 *
+	 * @private
+	 * @param {Object} record The record, to which the patch is going to be
+	 * applied.
+	 * @param {module:x2node-patches.RecordPatchHandlers} [handlers] Handlers to
+	 * delegate the notifications to.
+	 */
+	constructor(record, handlers) {
+
+		this._origRecord = record;
+		this._record = recordPatchBuilder.copyValue(record);
+		this._handlers = (handlers || {});
+
+		this._inverseOps = new Array();
+	}
+
+	// handler implementation
+	onInsert(op, ptr, newValue, oldValue) {
+
+		// the collection may be created by the insert
+		const collection = ptr.parent.getValue(this._record);
+		if ((collection === undefined) || (collection === null)) {
+			this._inverseOps.push({
+				op: 'remove',
+				path: ptr.parent.toString()
+			});
+		} else {
+			this._inverseOps.push({
+				op: 'remove',
+				path: (
+					ptr.collectionElementIndex === '-' ?
+						`${ptr.parent}/${collection.length}` :
+						ptr.toString()
+				)
+			});
+		}
+		ptr.addValue(this._record, recordPatchBuilder.copyValue(newValue));
+
+		if (this._handlers.onInsert)
+			this._handlers.onInsert(op, ptr, newValue, oldValue);
+	}
+
+	// handler implementation
+	onRemove(op, ptr, oldValue) {
+
+		this._inverseOps.push({
+			op: 'add',
+			path: ptr.toString(),
+			value: recordPatchBuilder.copyValue(oldValue)
+		});
+		ptr.removeValue(this._record);
+
+		if (this._handlers.onRemove)
+			this._handlers.onRemove(op, ptr, oldValue);
+	}
+
+	// handler implementation
+	onSet(op, ptr, newValue, oldValue) {
+
+		if (op === 'meta-info') {
+			if (ptr.propDesc.name === recordPatchBuilder.getMetaInfoPropName(
+				ptr.propDesc.container, 'version'))
+				this._inverseOps.push({
+					op: 'test',
+					path: ptr.toString(),
+					value: newValue
+				});
+		} else if ((oldValue === undefined) ||
+			(!ptr.collectionElement && (oldValue === null))) {
+			this._inverseOps.push({
+				op: 'remove',
+				path: ptr.toString()
+			});
+		} else {
+			this._inverseOps.push({
+				op: (newValue === null ? 'add' : 'replace'),
+				path: ptr.toString(),
+				value: recordPatchBuilder.copyValue(oldValue)
+			});
+		}
+		if ((newValue === null) && !ptr.collectionElement)
+			ptr.removeValue(this._record);
+		else
+			ptr.replaceValue(
+				this._record, recordPatchBuilder.copyValue(newValue));
+
+		if (this._handlers.onSet)
+			this._handlers.onSet(op, ptr, newValue, oldValue);
+	}
+
+	// handler implementation
+	onTest(ptr, value, passed, predicate) {
+
+		if (this._handlers.onTest)
+			this._handlers.onTest(ptr, value, passed, predicate);
+	}
+
+	// handler implementation
+	onRollback(err) {
+
+		this._inverseOps.length = 0;
+		this._record = recordPatchBuilder.copyValue(this._origRecord);
+
+		if (this._handlers.onRollback)
+			this._handlers.onRollback(err);
+	}
+
+	/**
+	 * Get the inverse patch specification that, when applied to the patched
+	 * record, restores the record to its state before the patch.
+	 *
+	 * @returns {Array.<Object>} RFC 6902 JSON patch specification, which can be
+	 * passed to module's [build()]{@link module:x2node-patches.build} function.
+	 */
+	getInversePatch() {
+
+		return this._inverseOps.slice().reverse();
+	}
+}
+
+/**
+ * Create handlers object that records the changes made by the patch to the
+ * specified record and builds the inverse patch specification. The recorder is
+ * passed to the patch's [apply()]{@link module:x2node-patches~RecordPatch#apply}
+ * method as the handlers. Once the patch is applied, the inverse patch
+ * specification can be retrieved from the recorder using its
+ * [getInversePatch()]{@link module:x2node-patches~InversePatchRecorder#getInversePatch}
+ * method.
+ *
+ * @function module:x2node-patches.createInverseRecorder
+ * @param {Object} record The record, to which the patch is going to be applied.
+ * @param {module:x2node-patches.RecordPatchHandlers} [handlers] Optional
+ * handlers, to which the recorder delegates the notifications.
+ * @returns {module:x2node-patches~InversePatchRecorder} The recorder.
+ * @throws {module:x2node-common.X2UsageError} If the specified record is not
+ * an object.
+ */
+function createInverseRecorder(record, handlers) {
+
+	if (((typeof record) !== 'object') || (record === null))
+		throw new common.X2UsageError(
+			'Specified record is not a non-null object.');
+
+	return new InversePatchRecorder(record, handlers);
+}
+
+// export the recorder factory function
+exports.createInverseRecorder = createInverseRecorder;
@@ -0,0 +1,24 @@
+'use strict';
+
+
+/**
+ * Create reference resolver that checks references against an in-memory list
+ * of existing records. Useful for tests.
+ *
+ * @function module:x2node-patches.createMemoryRefResolver
+ * @param {Object.<string,Array.<(string|number)>>} recordIds Ids of the existing
+ * records keyed by record type names.
+ * @returns {module:x2node-patches.RefResolver} The resolver.
+ */
+function createMemoryRefResolver(recordIds) {
+
+	const existing = new Set();
+	for (let recordTypeName of Object.keys(recordIds))
+		for (let id of recordIds[recordTypeName])
+			existing.add(`${recordTypeName}#${id}`);
+
+	return refs => Promise.resolve(refs.filter(ref => existing.has(ref)));
+}
+
+// export the resolver factory
+exports.createMemoryRefResolver = createMemoryRefResolver;
@@ -0,0 +1,455 @@
+'use strict';
+
+const recordPatchBuilder = require('./record-patch-builder.js');
+const differ = require('./differ.js');
+
+
+/**
+ * Descriptor of a conflict detected during a three-way merge.
+ *
+ * @typedef {Object} module:x2node-patches~MergeConflict
+ * @property {string} pointer JSON pointer of the conflicting location in the
+ * base record.
+ * @property {*} base Value at the location in the base record, or
+ * <code>null</code> if none.
+ * @property {*} mine Value at the location in "my" record, or
+ * <code>null</code> if none.
+ * @property {*} theirs Value at the location in "their" record, or
+ * <code>null</code> if none.
+ */
+
+/**
+ * Result of a three-way merge.
+ *
+ * @typedef {Object} module:x2node-patches~MergeResult
+ * @property {Object} record The merged record. At the conflicting locations
+ * the merged record has "my" values.
+ * @property {Array.<module:x2node-patches~MergeConflict>} conflicts Detected
+ * conflicts. Empty array if none.
+ */
+
+/**
+ * Perform three-way merge of two records concurrently edited from the same
+ * base record version. Changes made in only one of the edited records are
+ * taken from it. Changes made in both records to the same location are
+ * merged recursively where possible (nested objects, maps and nested object
+ * arrays with id property, elements of which are matched by id the same way as
+ * by the [fromDiff()]{@link module:x2node-patches.fromDiff} function). Where
+ * the same location is changed differently in both records and the change
+ * cannot be merged (different scalar values, different simple value arrays,
+ * nested object array element deleted in one record and modified in the other,
+ * etc.), a conflict is reported. The order of merged nested object array
+ * elements follows "my" record unless only "their" record changes the order.
+ * View, calculated and record meta-info property values are taken from "their"
+ * record.
+ *
+ * @function module:x2node-patches.merge3
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} recordTypeName Name of the record type.
+ * @param {Object} recBase The base record version.
+ * @param {Object} recMine "My" record edited from the base version.
+ * @param {Object} recTheirs "Their" record edited from the base version.
+ * @returns {module:x2node-patches~MergeResult} The merge result.
+ * @throws {module:x2node-common.X2UsageError} If the provided record type name
+ * is invalid, or the specified base record object is not an object or is
+ * <code>null</code>.
+ * @throws {module:x2node-common.X2SyntaxError} If any of the edited records is
+ * invalid the same way as the new record provided to the
+ * [fromDiff()]{@link module:x2node-patches.fromDiff} function would be.
+ */
+function merge3(recordTypes, recordTypeName, recBase, recMine, recTheirs) {
+
+	// validate the edited records against the base
+	differ.fromDiff(recordTypes, recordTypeName, recBase, recMine);
+	differ.fromDiff(recordTypes, recordTypeName, recBase, recTheirs);
+
+	// merge the records
+	const conflicts = new Array();
+	const record = mergeObjects(
+		recordTypes.getRecordTypeDesc(recordTypeName), '/',
+		recBase, recMine, recTheirs, conflicts);
+
+	// return the result
+	return {
+		record: record,
+		conflicts: conflicts
+	};
+}
+
+/**
+ * Recursively merge three versions of an object. The object versions must be
+ * of the same polymorphic subtype, if applicable.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container The container
+ * that describes the object (record or nested object property).
+ * @param {string} pathPrefix Prefix to add to contained property names to form
+ * corresponding JSON pointers.
+ * @param {Object} objBase Base object.
+ * @param {Object} objMine "My" object.
+ * @param {Object} objTheirs "Their" object.
+ * @param {Array.<module:x2node-patches~MergeConflict>} conflicts Conflicts
+ * collection, to which to add detected conflicts.
+ * @returns {Object} The merged object.
+ */
+function mergeObjects(
+	container, pathPrefix, objBase, objMine, objTheirs, conflicts) {
+
+	const objMerged = {};
+
+	// merge main properties
+	mergeObjectProps(
+		container, pathPrefix, objBase, objMine, objTheirs, objMerged,
+		conflicts);
+
+	// merge polymorphic object subtype properties
+	if (container.isPolymorphObject()) {
+		const subtype = objBase[container.typePropertyName];
+		objMerged[container.typePropertyName] = subtype;
+		mergeObjectProps(
+			container.getPropertyDesc(subtype).nestedProperties,
+			`${pathPrefix}${subtype}:`, objBase, objMine, objTheirs, objMerged,
+			conflicts);
+	}
+
+	// return the merged object
+	return objMerged;
+}
+
+/**
+ * Merge object properties.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container The container
+ * that describes the properties.
+ * @param {string} pathPrefix Prefix to add to contained property names to form
+ * corresponding JSON pointers.
+ * @param {Object} objBase Base object.
+ * @param {Object} objMine "My" object.
+ * @param {Object} objTheirs "Their" object.
+ * @param {Object} objMerged The merged object, to which to add the merged
+ * properties.
+ * @param {Array.<module:x2node-patches~MergeConflict>} conflicts Conflicts
+ * collection, to which to add detected conflicts.
+ */
+function mergeObjectProps(
+	container, pathPrefix, objBase, objMine, objTheirs, objMerged, conflicts) {
+
+	for (let propName of container.allPropertyNames) {
+
+		// get property descriptor
+		const propDesc = container.getPropertyDesc(propName);
+
+		// skip subtype pseudo-properties
+		if (propDesc.isSubtype())
+			continue;
+
+		// id is always the same
+		if (propDesc.isId()) {
+			if (objBase[propName] !== undefined)
+				objMerged[propName] = objBase[propName];
+			continue;
+		}
+
+		// take certain types of properties from "their" object
+		if (propDesc.isView() || propDesc.isCalculated() ||
+			propDesc.isRecordMetaInfo()) {
+			if (objTheirs[propName] !== undefined)
+				objMerged[propName] = objTheirs[propName];
+			continue;
+		}
+
+		// merge the property
+		const valMerged = mergePropValues(
+			propDesc, `${pathPrefix}${propName}`,
+			nullify(objBase[propName]), nullify(objMine[propName]),
+			nullify(objTheirs[propName]), conflicts);
+		if (valMerged !== null)
+			objMerged[propName] = valMerged;
+	}
+}
+
+/**
+ * Merge property values.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {string} propPath JSON pointer path of the property.
+ * @param {*} valBase Base value, or <code>null</code>.
+ * @param {*} valMine "My" value, or <code>null</code>.
+ * @param {*} valTheirs "Their" value, or <code>null</code>.
+ * @param {Array.<module:x2node-patches~MergeConflict>} conflicts Conflicts
+ * collection, to which to add detected conflicts.
+ * @returns {*} The merged value, or <code>null</code> if none.
+ */
+function mergePropValues(
+	propDesc, propPath, valBase, valMine, valTheirs, conflicts) {
+
+	// check if changed only in one of the versions
+	const equal = recordPatchBuilder.equalPropValues;
+	if (equal(propDesc, valMine, valTheirs))
+		return valMine;
+	if (equal(propDesc, valBase, valMine))
+		return valTheirs;
+	if (equal(propDesc, valBase, valTheirs))
+		return valMine;
+
+	// changed in both, try to merge
+	if ((valBase !== null) && (valMine !== null) && (valTheirs !== null)) {
+		if (propDesc.isArray()) {
+			if ((propDesc.scalarValueType === 'object') &&
+				propDesc.nestedProperties.idPropertyName)
+				return mergeObjectArrays(
+					propDesc, propPath, valBase, valMine, valTheirs, conflicts);
+		} else if (propDesc.isMap()) {
+			return mergeMaps(
+				propDesc, propPath, valBase, valMine, valTheirs, conflicts);
+		} else if (isMergeableObjects(propDesc, valBase, valMine, valTheirs)) {
+			return mergeObjects(
+				propDesc.nestedProperties, `${propPath}/`,
+				valBase, valMine, valTheirs, conflicts);
+		}
+	}
+
+	// conflict
+	return conflict(propPath, valBase, valMine, valTheirs, conflicts);
+}
+
+/**
+ * Merge collection element values (or scalar values).
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Collection
+ * property descriptor.
+ * @param {string} elementPath JSON pointer path of the element.
+ * @param {*} valBase Base value, or <code>null</code>.
+ * @param {*} valMine "My" value, or <code>null</code>.
+ * @param {*} valTheirs "Their" value, or <code>null</code>.
+ * @param {Array.<module:x2node-patches~MergeConflict>} conflicts Conflicts
+ * collection, to which to add detected conflicts.
+ * @returns {*} The merged value, or <code>null</code> if none.
+ */
+function mergeElements(
+	propDesc, elementPath, valBase, valMine, valTheirs, conflicts) {
+
+	// check if changed only in one of the versions
+	const equal = recordPatchBuilder.equalScalars;
+	if (equal(propDesc, valMine, valTheirs))
+		return valMine;
+	if (equal(propDesc, valBase, valMine))
+		return valTheirs;
+	if (equal(propDesc, valBase, valTheirs))
+		return valMine;
+
+	// changed in both, try to merge
+	if (isMergeableObjects(propDesc, valBase, valMine, valTheirs))
+		return mergeObjects(
+			propDesc.nestedProperties, `${elementPath}/`,
+			valBase, valMine, valTheirs, conflicts);
+
+	// conflict
+	return conflict(elementPath, valBase, valMine, valTheirs, conflicts);
+}
+
+/**
+ * Tell if three versions of a nested object can be merged recursively.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {*} valBase Base value, or <code>null</code>.
+ * @param {*} valMine "My" value, or <code>null</code>.
+ * @param {*} valTheirs "Their" value, or <code>null</code>.
+ * @returns {boolean} <code>true</code> if all three are nested objects of the
+ * same subtype.
+ */
+function isMergeableObjects(propDesc, valBase, valMine, valTheirs) {
+
+	if ((propDesc.scalarValueType !== 'object') ||
+		(valBase === null) || (valMine === null) || (valTheirs === null))
+		return false;
+
+	const container = propDesc.nestedProperties;
+	if (container.isPolymorphRef())
+		return false;
+
+	if (container.isPolymorphObject()) {
+		const typePropName = container.typePropertyName;
+		const subtype = valBase[typePropName];
+		return (
+			(valMine[typePropName] === subtype) &&
+				(valTheirs[typePropName] === subtype)
+		);
+	}
+
+	return true;
+}
+
+/**
+ * Register a conflict.
+ *
+ * @private
+ * @param {string} ptr JSON pointer of the conflicting location.
+ * @param {*} valBase Base value, or <code>null</code>.
+ * @param {*} valMine "My" value, or <code>null</code>.
+ * @param {*} valTheirs "Their" value, or <code>null</code>.
+ * @param {Array.<module:x2node-patches~MergeConflict>} conflicts Conflicts
+ * collection, to which to add the conflict.
+ * @returns {*} The value to use in the merged record, which is "my" value.
+ */
+function conflict(ptr, valBase, valMine, valTheirs, conflicts) {
+
+	conflicts.push({
+		pointer: ptr,
+		base: valBase,
+		mine: valMine,
+		theirs: valTheirs
+	});
+
+	return valMine;
+}
+
+/**
+ * Merge maps.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Map property
+ * descriptor.
+ * @param {string} propPath JSON pointer path of the map property.
+ * @param {Object.<string,*>} mapBase Base map.
+ * @param {Object.<string,*>} mapMine "My" map.
+ * @param {Object.<string,*>} mapTheirs "Their" map.
+ * @param {Array.<module:x2node-patches~MergeConflict>} conflicts Conflicts
+ * collection, to which to add detected conflicts.
+ * @returns {?Object.<string,*>} The merged map, or <code>null</code> if empty.
+ */
+function mergeMaps(propDesc, propPath, mapBase, mapMine, mapTheirs, conflicts) {
+
+	const keys = new Set(Object.keys(mapMine));
+	for (let key of Object.keys(mapTheirs))
+		keys.add(key);
+	for (let key of Object.keys(mapBase))
+		keys.add(key);
+
+	const mapMerged = {};
+	let empty = true;
+	for (let key of keys) {
+		const valMerged = mergeElements(
+			propDesc, `${propPath}/${ptrSafe(key)}`,
+			nullify(mapBase[key]), nullify(mapMine[key]),
+			nullify(mapTheirs[key]), conflicts);
+		if (valMerged !== null) {
+			mapMerged[key] = valMerged;
+			empty = false;
+		}
+	}
+
+	return (empty ? null : mapMerged);
+}
+
+/**
+ * Merge nested object arrays. The elements are matched by the id.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Descriptor of the
+ * nested objects array property.
+ * @param {string} propPath JSON pointer path of the array property.
+ * @param {Array.<Object>} arrBase Base array.
+ * @param {Array.<Object>} arrMine "My" array.
+ * @param {Array.<Object>} arrTheirs "Their" array.
+ * @param {Array.<module:x2node-patches~MergeConflict>} conflicts Conflicts
+ * collection, to which to add detected conflicts.
+ * @returns {?Array.<Object>} The merged array, or <code>null</code> if empty.
+ */
+function mergeObjectArrays(
+	propDesc, propPath, arrBase, arrMine, arrTheirs, conflicts) {
+
+	const container = propDesc.nestedProperties;
+	const idPropName = container.idPropertyName;
+
+	// index the base elements and the existing elements in the versions
+	const baseIds = new Set(arrBase.map(v => v[idPropName]));
+	const index = arr => arr.reduce((res, v) => {
+		const id = v[idPropName];
+		if (baseIds.has(id))
+			res.set(id, v);
+		return res;
+	}, new Map());
+	const mineById = index(arrMine);
+	const theirsById = index(arrTheirs);
+
+	// merge the base elements
+	const mergedById = new Map();
+	arrBase.forEach((valBase, i) => {
+		const id = valBase[idPropName];
+		const valMerged = mergeElements(
+			propDesc, `${propPath}/${i}`,
+			valBase, nullify(mineById.get(id)), nullify(theirsById.get(id)),
+			conflicts);
+		if (valMerged !== null)
+			mergedById.set(id, valMerged);
+	});
+
+	// determine which version's order to follow
+	const orderChanged = byId => {
+		const ids = arrBase.map(v => v[idPropName]).filter(id => byId.has(id));
+		return !Array.from(byId.keys()).every((id, i) => (id === ids[i]));
+	};
+	const [ arrPrimary, arrSecondary ] = (
+		!orderChanged(mineById) && orderChanged(theirsById) ?
+			[ arrTheirs, arrMine ] : [ arrMine, arrTheirs ]);
+	const isNew = v => !baseIds.has(v[idPropName]);
+
+	// build merged array following the primary version
+	const arrMerged = new Array();
+	for (let v of arrPrimary) {
+		if (isNew(v))
+			arrMerged.push(v);
+		else if (mergedById.has(v[idPropName]))
+			arrMerged.push(mergedById.get(v[idPropName]));
+	}
+
+	// insert new elements from the secondary version
+	let anchor = null;
+	for (let v of arrSecondary) {
+		if (isNew(v)) {
+			arrMerged.splice(
+				(anchor === null ? 0 : arrMerged.indexOf(anchor) + 1), 0, v);
+			anchor = v;
+		} else if (mergedById.has(v[idPropName])) {
+			anchor = mergedById.get(v[idPropName]);
+		}
+	}
+
+	// return the merged array
+	return (arrMerged.length > 0 ? arrMerged : null);
+}
+
+/**
+ * Convert <code>undefined</code> to <code>null</code>.
+ *
+ * @private
+ * @param {*} val The value.
+ * @returns {*} The value, or <code>null</code> if <code>undefined</code>.
+ */
+function nullify(val) {
+
+	return (val === undefined ? null : val);
+}
+
+/**
+ * Make specified string safe to use in a JSON pointer.
+ *
+ * @private
+ * @param {string} str The original string.
+ * @returns {string} Pointer safe string.
+ */
+function ptrSafe(str) {
+
+	return str.replace(/[~/]/g, m => (m === '~' ? '~0' : '~1'));
+}
+
+// export the merge function
+exports.merge3 = merge3;
@@ -0,0 +1,482 @@
+'use strict';
+
+const common = require('x2node-common');
+
+const recordPatchBuilder = require('./record-patch-builder.js');
+const differ = require('./differ.js');
+const composer = require('./composer.js');
+const pointerTransform = require('./pointer-transform.js');
+const selectorPointer = require('./selector-pointer.js');
+
+
+/**
+ * Normalize patch specification. The patch is validated against the record
+ * type and converted into its canonical form:
+ *
+ * <ul>
+ * <li>Operation definitions have only the properties relevant to the operation
+ * listed in a fixed order ("op", "from", "path", "predicate", "value", "by"
+ * and "patch"). Operations nested in "merge" operations are in canonical form
+ * as well. The default "equals" test predicate is omitted.</li>
+ * <li>Values are in canonical form: nested object properties are listed in the
+ * order of their definition with empty properties omitted, map keys are
+ * sorted and datetimes are ISO 8601 strings.</li>
+ * <li>Redundant operations are eliminated the same way as by the module's
+ * [compose()]{@link module:x2node-patches.compose} function.</li>
+ * <li>If the record, to which the patch is going to be applied, is provided,
+ * replacements of whole nested objects are narrowed down to replacements of
+ * only the nested object properties that actually change.</li>
+ * <li>Independent operations (operations that do not affect each other's
+ * locations) are sorted by their paths. Relative order of dependent operations
+ * is preserved. Since a failed "test" operation stops the patch, no operation
+ * is moved across a "test" operation.</li>
+ * </ul>
+ *
+ * Normalizing equivalent patches produces the same result, so the normalized
+ * patches can be compared, hashed or stored.
+ *
+ * @function module:x2node-patches.normalize
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} recordTypeName Name of the record type.
+ * @param {Array.<Object>} patchSpec RFC 6902 JSON patch specification.
+ * @param {Object} [record] The record, to which the patch is going to be
+ * applied. If not provided, nested object replacements are not narrowed down.
+ * The record is not modified.
+ * @returns {Array.<Object>} The normalized RFC 6902 JSON patch specification.
+ * @throws {module:x2node-common.X2UsageError} If the provided record type name
+ * is invalid, or the provided record is not an object.
+ * @throws {module:x2node-common.X2SyntaxError} If the provided patch
+ * specification is invalid.
+ */
+function normalize(recordTypes, recordTypeName, patchSpec, record) {
+
+	// validate the arguments
+	recordPatchBuilder.build(recordTypes, recordTypeName, patchSpec);
+	if ((record !== undefined) &&
+		(((typeof record) !== 'object') || (record === null)))
+		throw new common.X2UsageError(
+			'Specified record is not a non-null object.');
+
+	// convert operations into canonical form
+	const recordTypeDesc = recordTypes.getRecordTypeDesc(recordTypeName);
+	let normalized = patchSpec.map(
+		opDef => canonicalOperation(recordTypeDesc, opDef));
+
+	// eliminate redundant operations
+	normalized = composer.compose(recordTypes, recordTypeName, [ normalized ]);
+
+	// narrow down nested object replacements
+	if (record) {
+		normalized = narrowReplacements(
+			recordTypes, recordTypeName, normalized, record);
+		normalized = composer.compose(
+			recordTypes, recordTypeName, [ normalized ]);
+	}
+
+	// sort independent operations and return the result
+	return sortOperations(recordTypeDesc, normalized);
+}
+
+/**
+ * Convert patch operation definition into canonical form.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record type
+ * descriptor.
+ * @param {Object} opDef Patch operation definition. Assumed to be valid.
+ * @returns {Object} Canonical patch operation definition.
+ */
+function canonicalOperation(recordTypeDesc, opDef) {
+
+	const res = {
+		op: opDef.op
+	};
+
+	switch (opDef.op) {
+	case 'move':
+	case 'copy':
+		res.from = opDef.from;
+		res.path = opDef.path;
+		break;
+	case 'remove':
+		res.path = opDef.path;
+		break;
+	case 'merge':
+		res.path = opDef.path;
+		res.value = recordPatchBuilder.copyValue(opDef.value);
+		res.patch = opDef.patch.map(
+			nestedOpDef => canonicalOperation(recordTypeDesc, nestedOpDef));
+		break;
+	case 'test':
+		res.path = opDef.path;
+		if ((opDef.predicate === undefined) || (opDef.predicate === 'equals')) {
+			res.value = canonicalValue(
+				selectorPointer.parse(recordTypeDesc, opDef.path), opDef.value);
+		} else {
+			res.predicate = opDef.predicate;
+			if (opDef.value !== undefined)
+				res.value = canonicalPredicateValue(
+					selectorPointer.parse(recordTypeDesc, opDef.path),
+					opDef.predicate, opDef.value);
+		}
+		break;
+	case 'increment':
+		res.path = opDef.path;
+		res.by = opDef.by;
+		break;
+	case 'remove-value':
+	case 'add-unique':
+		res.path = opDef.path;
+		res.value = canonicalScalar(
+			selectorPointer.parse(recordTypeDesc, opDef.path).propDesc,
+			opDef.value);
+		break;
+	default:
+		res.path = opDef.path;
+		res.value = canonicalValue(
+			selectorPointer.parse(recordTypeDesc, opDef.path), opDef.value);
+	}
+
+	return res;
+}
+
+/**
+ * Convert value at the pointer location into canonical form.
+ *
+ * @private
+ * @param {module:x2node-pointers~RecordElementPointer} ptr The pointer.
+ * @param {*} val The value. Assumed to be valid.
+ * @returns {*} Canonical value.
+ */
+function canonicalValue(ptr, val) {
+
+	if (ptr.collectionElement)
+		return canonicalScalar(ptr.propDesc, val);
+
+	return canonicalPropValue(ptr.propDesc, val);
+}
+
+/**
+ * Convert value provided with a "test" operation predicate into canonical
+ * form.
+ *
+ * @private
+ * @param {module:x2node-pointers~RecordElementPointer} ptr The pointer.
+ * @param {string} predicate The predicate.
+ * @param {*} val The value. Assumed to be valid.
+ * @returns {*} Canonical value.
+ */
+function canonicalPredicateValue(ptr, predicate, val) {
+
+	switch (predicate) {
+	case 'in':
+		return val.map(v => canonicalValue(ptr, v));
+	case 'contains':
+		return canonicalScalar(ptr.propDesc, val);
+	default:
+		return val;
+	}
+}
+
+/**
+ * Convert property value into canonical form.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {*} val The value.
+ * @returns {*} Canonical value.
+ */
+function canonicalPropValue(propDesc, val) {
+
+	if ((val === undefined) || (val === null))
+		return val;
+
+	if (propDesc.isArray())
+		return val.map(v => canonicalScalar(propDesc, v));
+
+	if (propDesc.isMap()) {
+		const res = {};
+		for (let key of Object.keys(val).sort())
+			res[key] = canonicalScalar(propDesc, val[key]);
+		return res;
+	}
+
+	return canonicalScalar(propDesc, val);
+}
+
+/**
+ * Convert scalar value (a single value or a collection element) into canonical
+ * form.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {*} val The value.
+ * @returns {*} Canonical value.
+ */
+function canonicalScalar(propDesc, val) {
+
+	if ((val === undefined) || (val === null))
+		return val;
+
+	switch (propDesc.scalarValueType) {
+	case 'datetime':
+		return (
+			val instanceof Date ? val : new Date(Date.parse(val))).toISOString();
+	case 'object':
+		return canonicalObject(propDesc.nestedProperties, val);
+	default:
+		return val;
+	}
+}
+
+/**
+ * Convert nested object into canonical form.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container Container
+ * describing the object.
+ * @param {Object} obj The object.
+ * @returns {Object} Canonical object.
+ */
+function canonicalObject(container, obj) {
+
+	const res = {};
+
+	if (container.isPolymorphObject()) {
+		const subtype = obj[container.typePropertyName];
+		res[container.typePropertyName] = subtype;
+		canonicalObjectProps(container, obj, res);
+		if (((typeof subtype) === 'string') && container.hasProperty(subtype))
+			canonicalObjectProps(
+				container.getPropertyDesc(subtype).nestedProperties, obj, res);
+	} else {
+		canonicalObjectProps(container, obj, res);
+	}
+
+	return res;
+}
+
+/**
+ * Copy nested object properties described by the container into the canonical
+ * object.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container The container.
+ * @param {Object} obj The object.
+ * @param {Object} res The canonical object, to which to add the properties.
+ */
+function canonicalObjectProps(container, obj, res) {
+
+	for (let propName of container.allPropertyNames) {
+		const propDesc = container.getPropertyDesc(propName);
+		if (propDesc.isSubtype())
+			continue;
+		const val = obj[propName];
+		if ((val === undefined) || (val === null) || (
+			(propDesc.isArray() && (val.length === 0)) ||
+				(propDesc.isMap() && (Object.keys(val).length === 0))))
+			continue;
+		res[propName] = canonicalPropValue(propDesc, val);
+	}
+}
+
+/**
+ * Replace operations that set whole nested objects with operations that set
+ * only the nested object properties that change.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} recordTypeName Name of the record type.
+ * @param {Array.<Object>} patchSpec The patch specification. Assumed to be
+ * valid.
+ * @param {Object} record The record, to which the patch is going to be
+ * applied.
+ * @returns {Array.<Object>} The resulting patch specification.
+ */
+function narrowReplacements(recordTypes, recordTypeName, patchSpec, record) {
+
+	const recordTypeDesc = recordTypes.getRecordTypeDesc(recordTypeName);
+
+	// track the record state on a copy
+	const curRecord = recordPatchBuilder.copyValue(record);
+
+	// go over the operations
+	const res = new Array();
+	for (let i = 0; i < patchSpec.length; i++) {
+		const opDef = patchSpec[i];
+
+		// try to narrow down the operation
+		const narrowed = narrowReplacement(
+			recordTypes, recordTypeName, recordTypeDesc, opDef, curRecord);
+		if (narrowed) {
+			narrowed.forEach(o => { res.push(o); });
+		} else {
+			res.push(opDef);
+		}
+
+		// advance the record state, stop narrowing if cannot
+		try {
+			if (!recordPatchBuilder.build(
+				recordTypes, recordTypeName, [ opDef ]).apply(curRecord))
+				return res.concat(patchSpec.slice(i + 1));
+		} catch (err) {
+			if (err instanceof common.X2DataError)
+				return res.concat(patchSpec.slice(i + 1));
+			throw err;
+		}
+	}
+
+	return res;
+}
+
+/**
+ * Narrow down single nested object replacement operation.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} recordTypeName Name of the record type.
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record type
+ * descriptor.
+ * @param {Object} opDef The operation definition.
+ * @param {Object} curRecord Current state of the record.
+ * @returns {?Array.<Object>} Operations that replace the operation, or
+ * <code>null</code> if the operation cannot be narrowed down.
+ */
+function narrowReplacement(
+	recordTypes, recordTypeName, recordTypeDesc, opDef, curRecord) {
+
+	// only replacements of existing nested objects
+	if ((opDef.op !== 'replace') && (opDef.op !== 'add'))
+		return null;
+	const ptr = selectorPointer.parse(recordTypeDesc, opDef.path);
+	if ((ptr.propDesc.scalarValueType !== 'object') || (
+		!ptr.propDesc.isScalar() && !ptr.collectionElement) ||
+		((opDef.op === 'add') && ptr.collectionElement &&
+			ptr.propDesc.isArray()))
+		return null;
+	let curVal;
+	try {
+		curVal = selectorPointer.resolve(ptr, curRecord).getValue(curRecord);
+	} catch (err) {
+		if (err instanceof common.X2DataError)
+			return null;
+		throw err;
+	}
+	if (((typeof curVal) !== 'object') || (curVal === null))
+		return null;
+
+	// the object must keep its identity
+	const container = ptr.propDesc.nestedProperties;
+	const newVal = opDef.value;
+	if (container.isPolymorphObject() && (
+		newVal[container.typePropertyName] !==
+			curVal[container.typePropertyName]))
+		return null;
+	if (container.idPropertyName && (
+		newVal[container.idPropertyName] !== curVal[container.idPropertyName]))
+		return null;
+
+	// diff the object
+	const narrowed = new Array();
+	try {
+		differ.diffObjects(
+			container, `${opDef.path}/`, curVal, newVal, narrowed, {});
+		recordPatchBuilder.build(recordTypes, recordTypeName, narrowed);
+	} catch (err) {
+		if (err instanceof common.X2SyntaxError)
+			return null;
+		throw err;
+	}
+
+	// return canonical operations
+	return narrowed.map(o => canonicalOperation(recordTypeDesc, o));
+}
+
+/**
+ * Sort operations so that independent operations are ordered by their paths,
+ * while dependent operations keep their relative order.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record type
+ * descriptor.
+ * @param {Array.<Object>} patchSpec The patch specification. Assumed to be
+ * valid.
+ * @returns {Array.<Object>} The sorted patch specification.
+ */
+function sortOperations(recordTypeDesc, patchSpec) {
+
+	const remaining = patchSpec.map(opDef => ({
+		def: opDef,
+		prims: pointerTransform.decompose(recordTypeDesc, opDef)
+	}));
+
+	const res = new Array();
+	while (remaining.length > 0) {
+
+		// find the smallest operation not depending on the preceding ones
+		let next = -1;
+		for (let i = 0; i < remaining.length; i++) {
+			const op = remaining[i];
+			let free = true;
+			for (let k = 0; k < i && free; k++)
+				free = !isDependent(op, remaining[k]);
+			if (free && ((next < 0) || (compareOperations(
+				op.def, remaining[next].def) < 0)))
+				next = i;
+		}
+
+		res.push(remaining.splice(next, 1)[0].def);
+	}
+
+	return res;
+}
+
+/**
+ * Tell if two operations cannot be swapped.
+ *
+ * @private
+ * @param {module:x2node-patches~ComposedOperation} opA Operation A.
+ * @param {module:x2node-patches~ComposedOperation} opB Operation B.
+ * @returns {boolean} <code>true</code> if the operations are dependent.
+ */
+function isDependent(opA, opB) {
+
+	if ((opA.def.op === 'merge') || (opB.def.op === 'merge') ||
+		(opA.def.op === 'test') || (opB.def.op === 'test'))
+		return true;
+
+	return opA.prims.some(primA => opB.prims.some(primB => (
+		pointerTransform.affects(primA, primB.loc) ||
+			pointerTransform.affects(primB, primA.loc)
+	)));
+}
+
+/**
+ * Compare operations for sorting.
+ *
+ * @private
+ * @param {Object} opDefA Operation A definition.
+ * @param {Object} opDefB Operation B definition.
+ * @returns {number} Negative, zero or positive number.
+ */
+function compareOperations(opDefA, opDefB) {
+
+	const keyA = [ opDefA.path, opDefA.op, (opDefA.from || '') ];
+	const keyB = [ opDefB.path, opDefB.op, (opDefB.from || '') ];
+	for (let i = 0; i < keyA.length; i++) {
+		if (keyA[i] < keyB[i])
+			return -1;
+		if (keyA[i] > keyB[i])
+			return 1;
+	}
+
+	return 0;
+}
+
+// export the normalize function
+exports.normalize = normalize;
@@ -0,0 +1,228 @@
+'use strict';
+
+const common = require('x2node-common');
+
+const selectorPointer = require('./selector-pointer.js');
+
+
+/**
+ * Error thrown when a patch operation is not allowed by the policy provided to
+ * the [build()]{@link module:x2node-patches.build} function.
+ *
+ * @memberof module:x2node-patches
+ * @extends module:x2node-common.X2SyntaxError
+ */
+class PatchPolicyError extends common.X2SyntaxError {
+
+	/**
+	 * <strong>Note:</strong> The constructor is not accessible from the client
+	 * code.
+	 *
+	 * @private
+	 * @param {number} opIndex Index of the rejected operation in the patch
+	 * specification.
+	 * @param {string} op The rejected operation type.
+	 * @param {string} pointer The pointer, access to which was rejected.
+	 * @param {string} propPath Path (in dot notation) of the property, access to
+	 * which was rejected.
+	 * @param {string} kind The rejected access kind.
+	 */
+	constructor(opIndex, op, pointer, propPath, kind) {
+		super(
+			`Patch operation #${opIndex + 1} (${op}) is not allowed:` +
+				` "${kind}" access to property ${propPath} at ${pointer} is` +
+				` denied by the policy.`);
+
+		this._opIndex = opIndex;
+		this._op = op;
+		this._pointer = pointer;
+		this._propPath = propPath;
+		this._kind = kind;
+	}
+
+	/**
+	 * Index of the rejected operation in the patch specification. For an
+	 * operation nested in a "merge" operation, index of the "merge" operation.
+	 *
+	 * @member {number}
+	 * @readonly
+	 */
+	get opIndex() { return this._opIndex; }
+
+	/**
+	 * The rejected operation type.
+	 *
+	 * @member {string}
+	 * @readonly
+	 */
+	get op() { return this._op; }
+
+	/**
+	 * The pointer, access to which was rejected.
+	 *
+	 * @member {string}
+	 * @readonly
+	 */
+	get pointer() { return this._pointer; }
+
+	/**
+	 * Path (in dot notation) of the property, access to which was rejected.
+	 *
+	 * @member {string}
+	 * @readonly
+	 */
+	get propPath() { return this._propPath; }
+
+	/**
+	 * The rejected access kind.
+	 *
+	 * @member {string}
+	 * @readonly
+	 */
+	get kind() { return this._kind; }
+
+	/**
+	 * Error code, which is always "PATCH_POLICY_VIOLATION".
+	 *
+	 * @member {string}
+	 * @readonly
+	 */
+	get code() { return 'PATCH_POLICY_VIOLATION'; }
+}
+
+/**
+ * Check that all operations in the patch specification are allowed by the
+ * policy. Each pointer in each operation is checked with the access kind,
+ * which is the operation type for the "path" pointer, or "move-from" and
+ * "copy-from" for the "from" pointer of "move" and "copy" operations. If the
+ * pointer points at a nested object, all of the nested object properties are
+ * checked with the same access kind as well (except for "merge" operations,
+ * whose nested operations are checked individually).
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record type
+ * descriptor.
+ * @param {(function|Object)} policy The policy. Either a function that
+ * receives property path, access kind and the pointer and returns
+ * <code>false</code> to deny the access, or an object, keyed by property paths,
+ * with values that are either Booleans (allow or deny any access), or objects
+ * keyed by access kinds (or "*" for any other kind) with Boolean values. If
+ * the object does not have an entry for the property path, the closest parent
+ * property entry is used. Access to properties without an entry is allowed.
+ * @param {Array.<Object>} patch The patch specification. Assumed to be valid.
+ * @throws {module:x2node-common.X2UsageError} If the policy is invalid.
+ * @throws {module:x2node-patches.PatchPolicyError} If an operation is not
+ * allowed.
+ */
+function checkPatch(recordTypeDesc, policy, patch) {
+
+	const isAllowed = createPolicyFunction(policy);
+
+	patch.forEach((opDef, opInd) => {
+		checkOperation(recordTypeDesc, isAllowed, opDef, opInd);
+	});
+}
+
+/**
+ * Get policy function for the policy provided with the build options.
+ *
+ * @private
+ * @param {(function|Object)} policy The policy.
+ * @returns {function} Function that receives property path, access kind and the
+ * pointer and returns <code>false</code> if the access is denied.
+ * @throws {module:x2node-common.X2UsageError} If the policy is invalid.
+ */
+function createPolicyFunction(policy) {
+
+	if ((typeof policy) === 'function')
+		return policy;
+
+	if (((typeof policy) !== 'object') || (policy === null))
+		throw new common.X2UsageError(
+			'Patch policy must be a function or an object.');
+
+	return (propPath, kind) => {
+		for (let path = propPath; path.length > 0;
+			path = path.substring(0, Math.max(path.lastIndexOf('.'), 0))) {
+			const entry = policy[path];
+			if ((typeof entry) === 'boolean')
+				return entry;
+			if (((typeof entry) === 'object') && (entry !== null)) {
+				if ((typeof entry[kind]) === 'boolean')
+					return entry[kind];
+				if ((typeof entry['*']) === 'boolean')
+					return entry['*'];
+			}
+		}
+		return true;
+	};
+}
+
+/**
+ * Check patch operation against the policy.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record type
+ * descriptor.
+ * @param {function} isAllowed Policy function.
+ * @param {Object} opDef Patch operation definition. Assumed to be valid.
+ * @param {number} opInd Index of the top patch operation.
+ * @throws {module:x2node-patches.PatchPolicyError} If the operation is not
+ * allowed.
+ */
+function checkOperation(recordTypeDesc, isAllowed, opDef, opInd) {
+
+	const check = (kind, ptrStr) => {
+		const ptr = selectorPointer.parse(recordTypeDesc, ptrStr);
+		const deny = propPath => {
+			if (isAllowed(propPath, kind, ptrStr) === false)
+				throw new PatchPolicyError(
+					opInd, opDef.op, ptrStr, propPath, kind);
+		};
+		deny(ptr.propPath);
+		if ((ptr.propDesc.scalarValueType === 'object') && (kind !== 'merge'))
+			forEachNestedProperty(ptr.propDesc, deny);
+	};
+
+	switch (opDef.op) {
+	case 'move':
+	case 'copy':
+		check(`${opDef.op}-from`, opDef.from);
+		check(opDef.op, opDef.path);
+		break;
+	case 'merge':
+		check(opDef.op, opDef.path);
+		for (let nestedOpDef of opDef.patch)
+			checkOperation(recordTypeDesc, isAllowed, nestedOpDef, opInd);
+		break;
+	default:
+		check(opDef.op, opDef.path);
+	}
+}
+
+/**
+ * Recursively call the function for the path of each nested object property.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} objectPropDesc Nested object
+ * property descriptor.
+ * @param {function} func The function, which receives the property path.
+ */
+function forEachNestedProperty(objectPropDesc, func) {
+
+	const container = objectPropDesc.nestedProperties;
+	for (let propName of container.allPropertyNames) {
+		const propDesc = container.getPropertyDesc(propName);
+		if (propDesc.isCalculated() || propDesc.isView())
+			continue;
+		func(container.nestedPath + propName);
+		if (propDesc.scalarValueType === 'object')
+			forEachNestedProperty(propDesc, func);
+	}
+}
+
+// export the policy functions
+exports.checkPatch = checkPatch;
+exports.createPolicyFunction = createPolicyFunction;
+exports.checkOperation = checkOperation;
+exports.PatchPolicyError = PatchPolicyError;
@@ -0,0 +1,452 @@
+'use strict';
+
+const selectorPointer = require('./selector-pointer.js');
+
+
+/**
+ * Location in a record addressed by a JSON pointer, split into tokens. Array
+ * index tokens are numbers (or a dash), all other tokens are strings kept in
+ * the escaped form as they appear in the pointer. Nested object array elements
+ * addressed by id selectors are not shifted by array element insertions and
+ * deletions, so id selector tokens are not array indexes.
+ *
+ * @private
+ * @typedef {Object} module:x2node-patches~Location
+ * @property {Array.<(string|number)>} tokens Pointer tokens.
+ * @property {Array.<boolean>} arrayIndexes For each token, <code>true</code>
+ * if the token is an array index.
+ * @property {Array.<Object>} selectors For each token that is an id selector,
+ * the selector object with <code>idPropName</code> and <code>id</code>
+ * properties. For an array element at an unknown position, the
+ * <code>ANY_ELEMENT</code> selector. <code>undefined</code> for other tokens.
+ */
+
+/**
+ * Selector of an array element at an unknown position. Used for the locations
+ * of array element insertions and deletions, the index of which cannot be
+ * determined from the pointers. The location token for such element is "*".
+ *
+ * @private
+ * @constant {Object}
+ */
+const ANY_ELEMENT = {};
+
+/**
+ * Primitive structural effect of a patch operation on a record. Every patch
+ * operation can be decomposed into a sequence of primitives:
+ *
+ * <dl>
+ * <dt>insert</dt><dd>Insertion of an array element, which shifts the
+ * following elements.</dd>
+ * <dt>set</dt><dd>Setting a value at the location, which replaces anything
+ * that was there before.</dd>
+ * <dt>delete</dt><dd>Deletion of the value at the location. For an array
+ * element, shifts the following elements.</dd>
+ * <dt>read</dt><dd>Reading the value at the location without modifying the
+ * record.</dd>
+ * </dl>
+ *
+ * @private
+ * @typedef {Object} module:x2node-patches~Primitive
+ * @property {string} type Primitive type: "insert", "set", "delete" or "read".
+ * @property {module:x2node-patches~Location} loc The location.
+ * @property {string} origin The patch operation that produced the primitive.
+ */
+
+/**
+ * Result of transforming a primitive, when the primitive cannot be
+ * transformed because its location does not exist anymore.
+ *
+ * @private
+ * @typedef {Object} module:x2node-patches~Dropped
+ * @property {string} reason The reason: "REMOVED" if the location has been
+ * removed, "MOVED" if moved, "REPLACED" if one of its parents has been
+ * replaced or "SHIFTED" if its array index has been shifted by an unknown
+ * amount.
+ */
+
+/**
+ * Parse JSON pointer into a location.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record type
+ * descriptor.
+ * @param {string} ptrStr The pointer string. Assumed to be valid.
+ * @returns {module:x2node-patches~Location} The location.
+ */
+function parseLocation(recordTypeDesc, ptrStr) {
+
+	const ptr = selectorPointer.parse(recordTypeDesc, ptrStr);
+	const selector = (ptr instanceof selectorPointer.IdSelectorPointer);
+
+	const tokens = ptrStr.split('/').slice(1);
+	const arrayIndexes = new Array(tokens.length);
+	const selectors = new Array(tokens.length);
+	let i = tokens.length;
+	for (let p = (selector ? ptr.templatePtr : ptr); !p.isRoot(); p = p.parent) {
+		i--;
+		selectors[i] = (selector ? ptr.getSelector(i) : undefined);
+		arrayIndexes[i] = (
+			p.collectionElement && p.propDesc.isArray() && !selectors[i]);
+		if (arrayIndexes[i])
+			tokens[i] = p.collectionElementIndex;
+	}
+
+	return {
+		tokens: tokens,
+		arrayIndexes: arrayIndexes,
+		selectors: selectors
+	};
+}
+
+/**
+ * Convert location back to JSON pointer string.
+ *
+ * @private
+ * @param {module:x2node-patches~Location} loc The location.
+ * @returns {string} The pointer string.
+ */
+function formatLocation(loc) {
+
+	return loc.tokens.map(t => `/${t}`).join('');
+}
+
+/**
+ * Get location of the parent of the specified location.
+ *
+ * @private
+ * @param {module:x2node-patches~Location} loc The location. Must not be the
+ * root.
+ * @returns {module:x2node-patches~Location} The parent location.
+ */
+function parentLocation(loc) {
+
+	const len = loc.tokens.length;
+
+	return {
+		tokens: loc.tokens.slice(0, len - 1),
+		arrayIndexes: loc.arrayIndexes.slice(0, len - 1),
+		selectors: loc.selectors.slice(0, len - 1)
+	};
+}
+
+/**
+ * Tell if location A is the same as or is a child of location B.
+ *
+ * @private
+ * @param {module:x2node-patches~Location} locA Location A.
+ * @param {module:x2node-patches~Location} locB Location B.
+ * @param {boolean} strict <code>true</code> to return <code>false</code> if the
+ * locations are the same.
+ * @returns {boolean} <code>true</code> if A is under B.
+ */
+function isUnder(locA, locB, strict) {
+
+	const lenB = locB.tokens.length;
+	if ((locA.tokens.length < lenB) ||
+		(strict && (locA.tokens.length === lenB)))
+		return false;
+
+	for (let i = 0; i < lenB; i++)
+		if (locA.tokens[i] !== locB.tokens[i])
+			return false;
+
+	return true;
+}
+
+/**
+ * Tell if two locations are the same.
+ *
+ * @private
+ * @param {module:x2node-patches~Location} locA Location A.
+ * @param {module:x2node-patches~Location} locB Location B.
+ * @returns {boolean} <code>true</code> if the same.
+ */
+function isSameLocation(locA, locB) {
+
+	return (
+		(locA.tokens.length === locB.tokens.length) && isUnder(locA, locB, false)
+	);
+}
+
+/**
+ * Tell if the primitive inserts or deletes an array element, either addressed
+ * by index or selected by id (or at an unknown position).
+ *
+ * @private
+ * @param {module:x2node-patches~Primitive} prim The primitive.
+ * @returns {boolean} <code>true</code> if array element insertion or deletion.
+ */
+function isArrayElementChange(prim) {
+
+	const last = prim.loc.tokens.length - 1;
+
+	return (
+		((prim.type === 'insert') || (prim.type === 'delete')) &&
+			(prim.loc.arrayIndexes[last] ||
+				(prim.loc.selectors[last] !== undefined))
+	);
+}
+
+/**
+ * Tell if the primitive reads, modifies or shifts the specified location. That
+ * is, if the primitive location is the same as, a child of or a parent of the
+ * specified location, or if the primitive inserts or deletes an element in an
+ * array, in which the location is.
+ *
+ * @private
+ * @param {module:x2node-patches~Primitive} prim The primitive.
+ * @param {module:x2node-patches~Location} loc The location.
+ * @returns {boolean} <code>true</code> if the primitive affects the location.
+ */
+function affects(prim, loc) {
+
+	if (isUnder(prim.loc, loc, false) || isUnder(loc, prim.loc, false))
+		return true;
+
+	if (isArrayElementChange(prim))
+		return isUnder(loc, parentLocation(prim.loc), true);
+
+	return false;
+}
+
+/**
+ * Decompose patch operation into structural primitives. The "add-unique"
+ * operation appends an element to the array. The "remove-value" operation
+ * deletes elements at unknown positions in the array. The "merge" operation
+ * reads the object at its location followed by the primitives of its nested
+ * operations.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record type
+ * descriptor.
+ * @param {Object} opDef Patch operation definition. Assumed to be valid.
+ * @returns {Array.<module:x2node-patches~Primitive>} The primitives.
+ */
+function decompose(recordTypeDesc, opDef) {
+
+	const primitive = (type, ptrStr) => ({
+		type: type,
+		loc: parseLocation(recordTypeDesc, ptrStr),
+		origin: opDef.op
+	});
+	const target = ptrStr => {
+		const p = primitive('set', ptrStr);
+		if (p.loc.arrayIndexes[p.loc.arrayIndexes.length - 1])
+			p.type = 'insert';
+		return p;
+	};
+
+	switch (opDef.op) {
+	case 'add':
+		return [ target(opDef.path) ];
+	case 'replace':
+	case 'increment':
+		return [ primitive('set', opDef.path) ];
+	case 'remove':
+		return [ primitive('delete', opDef.path) ];
+	case 'move':
+		return [ primitive('delete', opDef.from), target(opDef.path) ];
+	case 'copy':
+		return [ primitive('read', opDef.from), target(opDef.path) ];
+	case 'test':
+		return [ primitive('read', opDef.path) ];
+	case 'add-unique':
+		return [ target(`${opDef.path}/-`) ];
+	case 'remove-value':
+		return [ atUnknownPosition(primitive('delete', `${opDef.path}/0`)) ];
+	case 'merge':
+		return opDef.patch.reduce(
+			(res, nestedOpDef) => res.concat(
+				decompose(recordTypeDesc, nestedOpDef)),
+			[ primitive('read', opDef.path) ]);
+	}
+}
+
+/**
+ * Transform primitive A so that it can be applied after primitive B, given
+ * that both were originally intended to be applied to the same record state.
+ *
+ * @private
+ * @param {module:x2node-patches~Primitive} primA Primitive A.
+ * @param {module:x2node-patches~Primitive} primB Primitive B.
+ * @param {boolean} shiftOnTie <code>true</code> if when both primitives insert
+ * elements at the same array index, the element inserted by A goes after the
+ * element inserted by B.
+ * @returns {(module:x2node-patches~Primitive|module:x2node-patches~Dropped)}
+ * Transformed primitive A, or the drop descriptor if its location does not
+ * exist after B.
+ */
+function transformPrimitive(primA, primB, shiftOnTie) {
+
+	const locA = primA.loc;
+	const locB = primB.loc;
+	const lenB = locB.tokens.length;
+
+	// reads do not affect anything
+	if (primB.type === 'read')
+		return primA;
+
+	// check if B is an array element insertion or deletion
+	const arrayIndB = (
+		locB.arrayIndexes[lenB - 1] ? locB.tokens[lenB - 1] : undefined);
+	if ((primB.type !== 'set') && (arrayIndB !== undefined)) {
+
+		// nothing if dash, A is not in the same array or selects by id
+		if ((arrayIndB === '-') ||
+			!isUnder(locA, parentLocation(locB), true) ||
+			!locA.arrayIndexes[lenB - 1])
+			return primA;
+		const arrayIndA = locA.tokens[lenB - 1];
+		if ((arrayIndA === '-') || (arrayIndA < arrayIndB))
+			return primA;
+
+		// A's element itself
+		const self = (
+			(arrayIndA === arrayIndB) && (locA.tokens.length === lenB) &&
+				(primA.type === 'insert'));
+
+		// shift the index
+		let shift;
+		if (primB.type === 'insert') {
+			shift = ((arrayIndA > arrayIndB) || !self || shiftOnTie ? 1 : 0);
+		} else {
+			if ((arrayIndA === arrayIndB) && !self)
+				return { reason: (primB.origin === 'move' ? 'MOVED' : 'REMOVED') };
+			shift = (arrayIndA > arrayIndB ? -1 : 0);
+		}
+		if (shift === 0)
+			return primA;
+		const tokens = locA.tokens.slice();
+		tokens[lenB - 1] = arrayIndA + shift;
+		return {
+			type: primA.type,
+			loc: {
+				tokens: tokens,
+				arrayIndexes: locA.arrayIndexes,
+				selectors: locA.selectors
+			},
+			origin: primA.origin
+		};
+	}
+
+	// check if B inserts or deletes an array element at an unknown index
+	const selectorB = locB.selectors[lenB - 1];
+	if ((primB.type !== 'set') && selectorB) {
+
+		// A's index in the same array cannot be shifted
+		if (isUnder(locA, parentLocation(locB), true) &&
+			locA.arrayIndexes[lenB - 1] && (locA.tokens[lenB - 1] !== '-'))
+			return { reason: 'SHIFTED' };
+
+		// element at unknown position does not contain A
+		if (selectorB === ANY_ELEMENT)
+			return primA;
+	}
+
+	// B replaces or deletes the value at the location
+	if (primB.type === 'set') {
+		if (isUnder(locA, locB, true))
+			return { reason: 'REPLACED' };
+	} else {
+		if (isUnder(locA, locB, primA.type === 'set'))
+			return { reason: (primB.origin === 'move' ? 'MOVED' : 'REMOVED') };
+	}
+
+	// not affected
+	return primA;
+}
+
+/**
+ * Transform sequence of primitives A so that it can be applied after sequence
+ * of primitives B, given that both were originally intended to be applied to
+ * the same record state. At the same time, sequence B is transformed so that it
+ * can be applied after sequence A.
+ *
+ * @private
+ * @param {Array.<?module:x2node-patches~Primitive>} primsA Sequence A. May
+ * contain <code>null</code>s for already dropped primitives, which are
+ * skipped.
+ * @param {Array.<?module:x2node-patches~Primitive>} primsB Sequence B. May
+ * contain <code>null</code>s for already dropped primitives, which are
+ * skipped.
+ * @param {boolean} shiftOnTie <code>true</code> if when primitives from both
+ * sequences insert elements at the same array index, the element inserted by
+ * A goes after the element inserted by B.
+ * @returns {Object} Object with <code>a</code> and <code>b</code> properties,
+ * which are the transformed sequences A and B (with <code>null</code>s for
+ * dropped primitives), and <code>reason</code> property, which is the reason
+ * of the first dropped primitive in sequence A, if any. Array element
+ * insertions and deletions in sequence B, indexes of which cannot be shifted,
+ * are kept as insertions and deletions at unknown positions.
+ */
+function transformSequences(primsA, primsB, shiftOnTie) {
+
+	let a = primsA.slice(), reason;
+	const b = primsB.map(primB => {
+		let curB = primB;
+		a = a.map(primA => {
+			if ((primA === null) || (curB === null))
+				return primA;
+			const newA = transformPrimitive(primA, curB, shiftOnTie);
+			const newB = transformPrimitive(curB, primA, !shiftOnTie);
+			if (newB.reason === 'SHIFTED')
+				curB = atUnknownPosition(curB);
+			else
+				curB = (newB.reason ? null : newB);
+			if (newA.reason) {
+				if (!reason)
+					reason = newA.reason;
+				return null;
+			}
+			return newA;
+		});
+		return curB;
+	});
+
+	return {
+		a: a,
+		b: b,
+		reason: reason
+	};
+}
+
+/**
+ * Convert array element insertion or deletion primitive into the same
+ * primitive at an unknown position in the array.
+ *
+ * @private
+ * @param {module:x2node-patches~Primitive} prim The primitive.
+ * @returns {?module:x2node-patches~Primitive} The converted primitive, or
+ * <code>null</code> if the primitive is not an array element insertion or
+ * deletion.
+ */
+function atUnknownPosition(prim) {
+
+	if (!isArrayElementChange(prim))
+		return null;
+
+	const arrayLoc = parentLocation(prim.loc);
+
+	return {
+		type: prim.type,
+		loc: {
+			tokens: arrayLoc.tokens.concat('*'),
+			arrayIndexes: arrayLoc.arrayIndexes.concat(false),
+			selectors: arrayLoc.selectors.concat(ANY_ELEMENT)
+		},
+		origin: prim.origin
+	};
+}
+
+// export the transform functions
+exports.parseLocation = parseLocation;
+exports.formatLocation = formatLocation;
+exports.parentLocation = parentLocation;
+exports.isUnder = isUnder;
+exports.isSameLocation = isSameLocation;
+exports.isArrayElementChange = isArrayElementChange;
+exports.affects = affects;
+exports.decompose = decompose;
+exports.transformPrimitive = transformPrimitive;
+exports.transformSequences = transformSequences;
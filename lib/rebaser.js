@@ -0,0 +1,176 @@
+'use strict';
+
+const recordPatchBuilder = require('./record-patch-builder.js');
+const pointerTransform = require('./pointer-transform.js');
+
+
+/**
+ * Descriptor of a patch operation dropped during a rebase.
+ *
+ * @typedef {Object} module:x2node-patches~DroppedOperation
+ * @property {number} opIndex Index of the operation in the original patch
+ * specification.
+ * @property {Object} op The original operation definition.
+ * @property {string} reason The reason, which can be "REMOVED" if the
+ * operation's target (or "from") location was removed by the concurrent patch,
+ * "MOVED" if it was moved by the concurrent patch, "REPLACED" if one of
+ * its parent locations was replaced by the concurrent patch as a whole, or
+ * "SHIFTED" if it addresses an array element by index and the concurrent patch
+ * removes elements of the same array selected by id or by value, so that the
+ * new index is not known.
+ */
+
+/**
+ * Result of a patch rebase.
+ *
+ * @typedef {Object} module:x2node-patches~RebaseResult
+ * @property {Array.<Object>} patch The rebased patch specification.
+ * @property {Array.<module:x2node-patches~DroppedOperation>} dropped
+ * Operations dropped from the rebased patch. Empty array if none.
+ */
+
+/**
+ * Rebase a patch built against a record version over a concurrent patch built
+ * against the same record version, so that the rebased patch can be applied to
+ * the record after the concurrent patch. Array indexes in the patch pointers
+ * are shifted to account for the array elements inserted and removed by the
+ * concurrent patch. The operations, whose target locations were removed or
+ * moved by the concurrent patch, or are inside nested objects or collections
+ * replaced by the concurrent patch as a whole, are dropped and reported. Array
+ * elements removed by id or by value shift the following elements by an
+ * unknown amount, so operations that address elements of the same array by
+ * index are dropped as well. A "merge" operation is dropped if any of its
+ * nested operations is dropped. If both patches insert array elements at the same index, the elements inserted
+ * by the rebased patch go after the elements inserted by the concurrent patch.
+ *
+ * @function module:x2node-patches.rebase
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} recordTypeName Name of the record type.
+ * @param {Array.<Object>} patchSpec RFC 6902 JSON patch specification to
+ * rebase.
+ * @param {Array.<Object>} concurrentPatchSpec RFC 6902 JSON patch
+ * specification of the concurrent patch.
+ * @returns {module:x2node-patches~RebaseResult} The rebase result.
+ * @throws {module:x2node-common.X2UsageError} If the provided record type name
+ * is invalid.
+ * @throws {module:x2node-common.X2SyntaxError} If any of the provided patch
+ * specifications is invalid.
+ */
+function rebase(recordTypes, recordTypeName, patchSpec, concurrentPatchSpec) {
+
+	// validate the patches
+	recordPatchBuilder.build(recordTypes, recordTypeName, patchSpec);
+	recordPatchBuilder.build(recordTypes, recordTypeName, concurrentPatchSpec);
+
+	// decompose the concurrent patch into primitives
+	const recordTypeDesc = recordTypes.getRecordTypeDesc(recordTypeName);
+	let concurrentPrims = concurrentPatchSpec.reduce(
+		(res, opDef) => res.concat(
+			pointerTransform.decompose(recordTypeDesc, opDef)),
+		new Array());
+
+	// compensations for dropped operations that have partially survived
+	let compensationPrims = new Array();
+
+	// rebase each operation
+	const rebased = new Array();
+	const dropped = new Array();
+	patchSpec.forEach((opDef, opInd) => {
+
+		// transform the operation over the concurrent patch
+		const opPrims = pointerTransform.decompose(recordTypeDesc, opDef);
+		let res = pointerTransform.transformSequences(
+			opPrims, concurrentPrims, true);
+		concurrentPrims = res.b;
+		let reason = res.reason;
+
+		// transform over the compensations
+		res = pointerTransform.transformSequences(
+			res.a, compensationPrims, true);
+		compensationPrims = res.b;
+		reason = (reason || res.reason);
+
+		// check if dropped
+		if (reason) {
+			dropped.push({
+				opIndex: opInd,
+				op: opDef,
+				reason: reason
+			});
+			for (let prim of res.a)
+				if (prim && pointerTransform.isArrayElementChange(prim))
+					compensationPrims.push(invertPrimitive(prim));
+			return;
+		}
+
+		// add rebased operation
+		rebased.push(rewriteOperation(opDef, res.a));
+	});
+
+	// return the result
+	return {
+		patch: rebased,
+		dropped: dropped
+	};
+}
+
+/**
+ * Get primitive that undoes the structural effect of the specified array
+ * element insertion or deletion primitive.
+ *
+ * @private
+ * @param {module:x2node-patches~Primitive} prim The primitive.
+ * @returns {module:x2node-patches~Primitive} The inverse primitive.
+ */
+function invertPrimitive(prim) {
+
+	return {
+		type: (prim.type === 'insert' ? 'delete' : 'insert'),
+		loc: prim.loc,
+		origin: prim.origin
+	};
+}
+
+/**
+ * Rewrite patch operation definition using transformed primitives.
+ *
+ * @private
+ * @param {Object} opDef Original patch operation definition.
+ * @param {Array.<module:x2node-patches~Primitive>} prims Transformed
+ * primitives of the operation. The primitives used by the operation are
+ * removed from the beginning of the array.
+ * @returns {Object} Rewritten patch operation definition.
+ */
+function rewriteOperation(opDef, prims) {
+
+	const newOpDef = {};
+	for (let k of Object.keys(opDef))
+		newOpDef[k] = opDef[k];
+
+	const formatLocation = pointerTransform.formatLocation;
+	switch (opDef.op) {
+	case 'move':
+	case 'copy':
+		newOpDef.from = formatLocation(prims.shift().loc);
+		newOpDef.path = formatLocation(prims.shift().loc);
+		break;
+	case 'add-unique':
+	case 'remove-value':
+		newOpDef.path = formatLocation(
+			pointerTransform.parentLocation(prims.shift().loc));
+		break;
+	case 'merge':
+		newOpDef.path = formatLocation(prims.shift().loc);
+		newOpDef.patch = opDef.patch.map(
+			nestedOpDef => rewriteOperation(nestedOpDef, prims));
+		break;
+	default:
+		newOpDef.path = formatLocation(prims.shift().loc);
+	}
+
+	return newOpDef;
+}
+
+// export the rebase function
+exports.rebase = rebase;
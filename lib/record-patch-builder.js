@@ -1,7 +1,8 @@
 'use strict';
 
 const common = require('x2node-common');
-const pointers = require('x2node-pointers');
+const selectorPointer = require('./selector-pointer.js');
+const patchPolicy = require('./patch-policy.js');
 
 
 /**
@@ -23,8 +24,24 @@ class RecordPatchOperation {
 	constructor(pathPtr) {
 
 		this._pathPtr = pathPtr;
+
+		/**
+		 * Index of the operation in the patch specification, or
+		 * <code>undefined</code> for a nested or automatically added operation.
+		 *
+		 * @member {number} module:x2node-patches~RecordPatchOperation#opIndex
+		 */
+		this.opIndex = undefined;
 	}
 
+	/**
+	 * Pointer for the property, to which the operation is applied.
+	 *
+	 * @member {module:x2node-pointers~RecordElementPointer}
+	 * @readonly
+	 */
+	get pathPtr() { return this._pathPtr; }
+
 	/**
 	 * Apply operation.
 	 *
@@ -32,49 +49,418 @@ class RecordPatchOperation {
 	 * @param {Object} record The record.
 	 * @param {module:x2node-patches.RecordPatchHandlers} [handlers] The
 	 * handlers.
+	 * @param {module:x2node-patches~RecordPatchJournal} [journal] Journal to
+	 * notify before the operation modifies the record, if any.
 	 * @returns {boolean} <code>true</code> unless a failed "test" operation.
 	 * @throws {module:x2node-common.X2DataError} If the provided record is
 	 * invalid.
 	 */
+
+	/**
+	 * Get descriptor of the change the operation would make to the record if
+	 * the operation would not actually change it.
+	 *
+	 * @param {Object} record The record.
+	 * @returns {?module:x2node-patches~RecordChange} The no-op change
+	 * descriptor, or <code>null</code> if the operation would change the record
+	 * (or is not a modifying operation).
+	 * @throws {module:x2node-common.X2DataError} If the provided record is
+	 * invalid.
+	 */
+	noopChange() {
+
+		return null;
+	}
+}
+
+/**
+ * Call function that applies patch operation to a record and, if it throws an
+ * <code>X2DataError</code>, add the operation index to the error, as well as
+ * the generic "PATCH_INVALID_RECORD" code and the operation pointer, if the
+ * error does not have a code.
+ *
+ * @private
+ * @param {module:x2node-patches~RecordPatchOperation} patchOp The operation.
+ * @param {function} func The function to call.
+ * @returns {*} The function result.
+ */
+function callPatchOperation(patchOp, func) {
+
+	try {
+		return func();
+	} catch (err) {
+		if ((err instanceof common.X2DataError) && (err.opIndex === undefined)) {
+			if (err.code === undefined)
+				decorateError(err, 'PATCH_INVALID_RECORD', patchOp.pathPtr);
+			err.opIndex = patchOp.opIndex;
+		}
+		throw err;
+	}
+}
+
+/**
+ * Descriptor of a change made to the record by a patch operation.
+ *
+ * @typedef {Object} module:x2node-patches~RecordChange
+ * @property {string} op The patch operation type ("add", "remove", "replace",
+ * "move", "copy", "remove-value", "add-unique" or "increment"), or "meta-info"
+ * for the record meta-info properties updated by a versioned patch.
+ * @property {string} pointer JSON pointer of the changed location.
+ * @property {*} oldValue The value at the location before the change. For a
+ * new array or map element, <code>undefined</code>.
+ * @property {*} newValue The value at the location after the change. For a
+ * removed array or map element, <code>undefined</code>.
+ * @property {boolean} noop <code>true</code> if the operation does not
+ * actually change the record, because the location already has the value.
+ */
+
+/**
+ * Create no-op change descriptor.
+ *
+ * @private
+ * @param {string} op The patch operation type.
+ * @param {module:x2node-pointers~RecordElementPointer} ptr The location.
+ * @param {*} value The value at the location.
+ * @returns {module:x2node-patches~RecordChange} The change descriptor.
+ */
+function createNoopChange(op, ptr, value) {
+
+	return {
+		op: op,
+		pointer: ptr.toString(),
+		oldValue: value,
+		newValue: value,
+		noop: true
+	};
+}
+
+/**
+ * Journal of the record modifications made by the patch operations, which can
+ * be used to roll the record back to its original state. Before modifying the
+ * record, patch operations notify the journal, which saves a shallow copy of
+ * every record object, array or map that is about to be changed.
+ *
+ * @private
+ * @memberof module:x2node-patches
+ * @inner
+ */
+class RecordPatchJournal {
+
+	/**
+	 * Create new empty journal.
+	 */
+	constructor() {
+
+		this._saved = new Set();
+		this._entries = new Array();
+	}
+
+	/**
+	 * Save the containers that are about to be modified at the specified
+	 * pointer location.
+	 *
+	 * @param {module:x2node-pointers~RecordElementPointer} ptr The pointer, at
+	 * which the record is about to be modified.
+	 * @param {Object} record The record.
+	 * @throws {module:x2node-common.X2DataError} If the pointer location cannot
+	 * be reached.
+	 */
+	beforeChange(ptr, record) {
+
+		// save the immediate container
+		const container = ptr.parent.getValue(record);
+		if (((typeof container) === 'object') && (container !== null)) {
+			this._save(container);
+		} else if (ptr.collectionElement) {
+
+			// collection property may be created, save the object that has it
+			const obj = ptr.parent.parent.getValue(record);
+			if (((typeof obj) === 'object') && (obj !== null))
+				this._save(obj);
+		}
+	}
+
+	/**
+	 * Save a shallow copy of the specified container unless already saved.
+	 *
+	 * @private
+	 * @param {(Object|Array)} container The container.
+	 */
+	_save(container) {
+
+		if (this._saved.has(container))
+			return;
+		this._saved.add(container);
+
+		this._entries.push({
+			container: container,
+			content: (
+				Array.isArray(container) ?
+					container.slice() :
+					Object.keys(container).map(k => [ k, container[k] ])
+			)
+		});
+	}
+
+	/**
+	 * Restore all saved containers to their original state.
+	 */
+	rollback() {
+
+		for (let i = this._entries.length - 1; i >= 0; i--) {
+			const entry = this._entries[i];
+			const container = entry.container;
+			if (Array.isArray(container)) {
+				container.length = 0;
+				for (let v of entry.content)
+					container.push(v);
+			} else {
+				for (let k of Object.keys(container))
+					delete container[k];
+				for (let kv of entry.content)
+					container[kv[0]] = kv[1];
+			}
+		}
+
+		this._entries.length = 0;
+		this._saved.clear();
+	}
+}
+
+/**
+ * Journal wrapper used to track the record locations changed by a patch
+ * operation. Passed to the patch operation instead of the actual journal, if
+ * any, which it notifies in turn.
+ *
+ * @private
+ * @memberof module:x2node-patches
+ * @inner
+ */
+class RecordPatchChangeTracker {
+
+	/**
+	 * Create new tracker for a patch operation.
+	 *
+	 * @param {module:x2node-patches~RecordPatchJournal} [journal] The actual
+	 * journal, if any.
+	 * @param {Array.<Object>} changes List, to which to add the changes. Each
+	 * change is an object with <code>pointer</code> and <code>opIndex</code>
+	 * properties.
+	 * @param {number} [opIndex] Index of the patch operation in the patch
+	 * specification.
+	 */
+	constructor(journal, changes, opIndex) {
+
+		this._journal = journal;
+		this._changes = changes;
+		this._opIndex = opIndex;
+	}
+
+	/**
+	 * Record the change and notify the actual journal.
+	 *
+	 * @param {module:x2node-pointers~RecordElementPointer} ptr The pointer, at
+	 * which the record is about to be modified.
+	 * @param {Object} record The record.
+	 */
+	beforeChange(ptr, record) {
+
+		this._changes.push({
+			pointer: ptr.toString(),
+			opIndex: this._opIndex
+		});
+
+		if (this._journal)
+			this._journal.beforeChange(ptr, record);
+	}
+}
+
+/**
+ * Copy-on-write view of a record. Before a patch operation modifies the record,
+ * the view makes shallow copies of all the objects, arrays and maps on the path
+ * from the record root to the location being modified (unless already copied)
+ * and links the copies into their copied parents. The view is passed to the
+ * patch operations instead of the journal, so that the operations modify only
+ * the copies and leave the original record intact, while all unmodified parts
+ * of the record are shared between the original and the view.
+ *
+ * @private
+ * @memberof module:x2node-patches
+ * @inner
+ */
+class RecordPatchCopyOnWrite {
+
+	/**
+	 * Create new view of the specified record.
+	 *
+	 * @param {Object} record The original record.
+	 */
+	constructor(record) {
+
+		this._original = record;
+		this._record = shallowCopy(record);
+
+		this._copies = new Set([ this._record ]);
+		this._modified = false;
+	}
+
+	/**
+	 * The view's record root, to which the patch operations are applied.
+	 *
+	 * @member {Object}
+	 * @readonly
+	 */
+	get record() { return this._record; }
+
+	/**
+	 * The resulting record: the view's record root if anything was modified,
+	 * or the original record if not.
+	 *
+	 * @member {Object}
+	 * @readonly
+	 */
+	get result() { return (this._modified ? this._record : this._original); }
+
+	/**
+	 * Copy the containers on the path to the location that is about to be
+	 * modified.
+	 *
+	 * @param {module:x2node-pointers~RecordElementPointer} ptr The pointer, at
+	 * which the record is about to be modified.
+	 * @param {Object} record The view's record root.
+	 */
+	beforeChange(ptr, record) {
+
+		this._modified = true;
+
+		const chain = new Array();
+		for (let p = ptr.parent; !p.isRoot(); p = p.parent)
+			chain.push(p);
+
+		let container = record;
+		for (let i = chain.length - 1; i >= 0; i--) {
+			const p = chain[i];
+			const key = (
+				p.collectionElement ? p.collectionElementIndex : p.propDesc.name);
+			let val = container[key];
+			if (((typeof val) !== 'object') || (val === null))
+				break;
+			if (!this._copies.has(val)) {
+				val = shallowCopy(val);
+				container[key] = val;
+				this._copies.add(val);
+			}
+			container = val;
+		}
+	}
+}
+
+/**
+ * Make a shallow copy of the specified object, array or map.
+ *
+ * @private
+ * @param {(Object|Array)} container The container.
+ * @returns {(Object|Array)} The copy.
+ */
+function shallowCopy(container) {
+
+	if (Array.isArray(container))
+		return container.slice();
+
+	const res = {};
+	for (let k of Object.keys(container))
+		res[k] = container[k];
+
+	return res;
+}
+
+/**
+ * Make a deep copy of the specified JSON value, such as a record value, so that
+ * it is not affected by the subsequent modifications of the original.
+ *
+ * @private
+ * @param {*} val The value.
+ * @returns {*} The value copy.
+ */
+function copyValue(val) {
+
+	if (Array.isArray(val))
+		return val.map(v => copyValue(v));
+
+	if (((typeof val) === 'object') && (val !== null) && !(val instanceof Date)) {
+		const res = {};
+		for (let k of Object.keys(val))
+			res[k] = copyValue(val[k]);
+		return res;
+	}
+
+	return val;
 }
 
 /**
- * Test if two simple value arrays are equal.
+ * Test if two property values are equal.
  *
  * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {*} val1 Value 1. For an array or map property, the whole collection.
+ * @param {*} val2 Value 2.
+ * @returns {boolean} <code>true</code> if considered equal.
+ */
+function equalPropValues(propDesc, val1, val2) {
+
+	if (propDesc.isArray())
+		return equalArrays(propDesc, val1, val2);
+
+	if (propDesc.isMap())
+		return equalMaps(propDesc, val1, val2);
+
+	return equalScalars(propDesc, val1, val2);
+}
+
+/**
+ * Test if two arrays are equal. Missing and empty arrays are considered equal.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Array property
+ * descriptor.
  * @param {?Array} arr1 Array 1.
  * @param {?Array} arr2 Array 2.
  * @returns {boolean} <code>true</code> if considered equal.
  */
-function equalSimpleArrays(arr1, arr2) {
+function equalArrays(propDesc, arr1, arr2) {
 
 	if (arr1 && (arr1.length > 0))
 		return (
-			arr2 &&
+			Array.isArray(arr2) &&
 				(arr2.length === arr1.length) &&
-				arr2.every((v, i) => (v === arr1[i]))
+				arr2.every((v, i) => equalScalars(propDesc, arr1[i], v))
 		);
 
 	return (!arr2 || (arr2.length === 0));
 }
 
 /**
- * Test if two simple value maps are equal.
+ * Test if two maps are equal. Missing and empty maps are considered equal.
  *
  * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Map property
+ * descriptor.
  * @param {?Object} map1 Map 1.
  * @param {?Object} map2 Map 2.
  * @returns {boolean} <code>true</code> if considered equal.
  */
-function equalSimpleMaps(map1, map2) {
+function equalMaps(propDesc, map1, map2) {
 
 	const keys1 = (map1 && Object.keys(map1));
 	if (map1 && (keys1.length > 0)) {
-		const keys2 = (map2 && Object.keys(map2));
+		const keys2 = (map2 ? Object.keys(map2) : []);
 		return (
-			keys2 &&
-				(keys2.length === keys1.length) &&
-				keys2.every(k => (map2[k] === map1[k]))
+			(keys2.length === keys1.length) &&
+				keys2.every(k => (
+					Object.prototype.hasOwnProperty.call(map1, k) &&
+						equalScalars(propDesc, map1[k], map2[k])
+				))
 		);
 	}
 
@@ -82,45 +468,165 @@ function equalSimpleMaps(map1, map2) {
 }
 
 /**
- * Test if two nested object arrays are equal.
+ * Test if two scalar values (or collection elements) are equal. A
+ * <code>null</code> is equal only to another <code>null</code> and an
+ * <code>undefined</code> only to another <code>undefined</code>.
  *
  * @private
- * @param {?Array} arr1 Array 1.
- * @param {?Array} arr2 Array 2.
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {*} val1 Value 1.
+ * @param {*} val2 Value 2.
  * @returns {boolean} <code>true</code> if considered equal.
  */
-function equalObjectArrays(/*arr1, arr2*/) {
+function equalScalars(propDesc, val1, val2) {
 
-	// TODO: implement
-	return false;
+	if ((val1 === undefined) || (val1 === null) ||
+		(val2 === undefined) || (val2 === null))
+		return (val1 === val2);
+
+	switch (propDesc.scalarValueType) {
+	case 'datetime':
+		return (toTime(val1) === toTime(val2));
+	case 'object':
+		if (propDesc.nestedProperties.isPolymorphRef())
+			return (val1 === val2);
+		return equalObjects(propDesc.nestedProperties, val1, val2);
+	default:
+		return (val1 === val2);
+	}
 }
 
 /**
- * Test if two nested object maps are equal.
+ * Get datetime value as milliseconds since the epoch.
  *
  * @private
- * @param {?Object} map1 Map 1.
- * @param {?Object} map2 Map 2.
+ * @param {(Date|string)} val Datetime value, either a <code>Date</code> or an
+ * ISO 8601 string.
+ * @returns {number} The time value.
+ */
+function toTime(val) {
+
+	return (val instanceof Date ? val.getTime() : Date.parse(val));
+}
+
+/**
+ * Test if two nested objects (or records) are equal. Missing property values
+ * are considered equal to <code>null</code> property values. View and
+ * calculated properties are ignored.
+ *
+ * @private
+ * @param {module:x2node-records~PropertiesContainer} container Container
+ * describing the objects.
+ * @param {Object} obj1 Object 1.
+ * @param {Object} obj2 Object 2.
  * @returns {boolean} <code>true</code> if considered equal.
  */
-function equalObjectMaps(/*map1, map2*/) {
+function equalObjects(container, obj1, obj2) {
 
-	// TODO: implement
-	return false;
+	if (obj1 === obj2)
+		return true;
+
+	if (!equalObjectProps(container, obj1, obj2))
+		return false;
+
+	if (container.isPolymorphObject()) {
+		const subtype = obj1[container.typePropertyName];
+		if (obj2[container.typePropertyName] !== subtype)
+			return false;
+		if (((typeof subtype) === 'string') && container.hasProperty(subtype))
+			return equalObjectProps(
+				container.getPropertyDesc(subtype).nestedProperties,
+				obj1, obj2);
+	}
+
+	return true;
 }
 
 /**
- * Test if two nested objects are equal.
+ * Test if properties described by the specified container are equal in two
+ * nested objects.
  *
  * @private
- * @param {?Object} obj1 Object 1.
- * @param {?Object} obj2 Object 2.
+ * @param {module:x2node-records~PropertiesContainer} container Container
+ * describing the properties.
+ * @param {Object} obj1 Object 1.
+ * @param {Object} obj2 Object 2.
  * @returns {boolean} <code>true</code> if considered equal.
  */
-function equalObjects(/*obj1, obj2*/) {
+function equalObjectProps(container, obj1, obj2) {
 
-	// TODO: implement
-	return false;
+	const nullify = v => (v === undefined ? null : v);
+
+	for (let propName of container.allPropertyNames) {
+		const propDesc = container.getPropertyDesc(propName);
+		if (propDesc.isView() || propDesc.isCalculated() || propDesc.isSubtype())
+			continue;
+		if (!equalPropValues(
+			propDesc, nullify(obj1[propName]), nullify(obj2[propName])))
+			return false;
+	}
+
+	return true;
+}
+
+/**
+ * Test if two values of the specified record property are equal. The
+ * comparison is structural and is based on the record type definition: nested
+ * objects are compared property by property (including polymorphic subtype
+ * properties), datetime values are compared as points in time regardless of
+ * whether they are <code>Date</code> objects or ISO 8601 strings, missing and
+ * empty collections are considered equal, and so are missing and
+ * <code>null</code> values. View and calculated properties of nested objects
+ * are ignored.
+ *
+ * @function module:x2node-patches.equalValues
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} propPath Property path in dot notation prefixed with the
+ * record type name, for example "Order.items.product". Polymorphic subtype
+ * properties are addressed by including the subtype name in the path. If only
+ * the record type name is specified, the values are compared as whole records.
+ * @param {*} val1 Value 1. For an array or map property, the whole collection.
+ * @param {*} val2 Value 2.
+ * @returns {boolean} <code>true</code> if the values are considered equal.
+ * @throws {module:x2node-common.X2UsageError} If the property path is invalid.
+ */
+function equalValues(recordTypes, propPath, val1, val2) {
+
+	const nullify = v => (v === undefined ? null : v);
+
+	// get the record type descriptor
+	if ((typeof propPath) !== 'string')
+		throw new common.X2UsageError('Property path is not a string.');
+	const propPathParts = propPath.split('.');
+	const recordTypeName = propPathParts[0];
+	if (!recordTypes.hasRecordType(recordTypeName))
+		throw new common.X2UsageError(
+			`Unknown record type ${recordTypeName}.`);
+	const recordTypeDesc = recordTypes.getRecordTypeDesc(recordTypeName);
+
+	// compare whole records if no property
+	if (propPathParts.length === 1) {
+		if ((val1 === undefined) || (val1 === null) ||
+			(val2 === undefined) || (val2 === null))
+			return (nullify(val1) === nullify(val2));
+		return equalObjects(recordTypeDesc, val1, val2);
+	}
+
+	// resolve the property
+	let container = recordTypeDesc, propDesc;
+	for (let i = 1, len = propPathParts.length; i < len; i++) {
+		const propName = propPathParts[i];
+		if (!container || !container.hasProperty(propName))
+			throw new common.X2UsageError(
+				`Invalid property path ${propPath}: no such property.`);
+		propDesc = container.getPropertyDesc(propName);
+		container = propDesc.nestedProperties;
+	}
+
+	// compare the values
+	return equalPropValues(propDesc, nullify(val1), nullify(val2));
 }
 
 /**
@@ -138,24 +644,13 @@ function needsAdd(ptr, record, value) {
 
 	const propDesc = ptr.propDesc;
 
-	if (propDesc.isArray()) {
-		if (ptr.collectionElement)
+	if (ptr.collectionElement) {
+		if (propDesc.isArray())
 			return true;
-		if (propDesc.scalarValueType === 'object')
-			return !equalObjectArrays(/*ptr.getValue(record), value*/);
-		return !equalSimpleArrays(ptr.getValue(record), value);
+		return !equalScalars(propDesc, ptr.getValue(record), value);
 	}
 
-	if (propDesc.isMap() && !ptr.collectionElement) {
-		if (propDesc.scalarValueType === 'object')
-			return !equalObjectMaps(/*ptr.getValue(record), value*/);
-		return !equalSimpleMaps(ptr.getValue(record), value);
-	}
-
-	if (propDesc.scalarValueType === 'object')
-		return !equalObjects(/*ptr.getValue(record), value*/);
-
-	return (ptr.getValue(record) !== value);
+	return !equalPropValues(propDesc, ptr.getValue(record), value);
 }
 
 /**
@@ -173,22 +668,10 @@ function needsReplace(ptr, record, value) {
 
 	const propDesc = ptr.propDesc;
 
-	if (!ptr.collectionElement && propDesc.isArray()) {
-		if (propDesc.scalarValueType === 'object')
-			return !equalObjectArrays(/*ptr.getValue(record), value*/);
-		return !equalSimpleArrays(ptr.getValue(record), value);
-	}
-
-	if (!ptr.collectionElement && propDesc.isMap()) {
-		if (propDesc.scalarValueType === 'object')
-			return !equalObjectMaps(/*ptr.getValue(record), value*/);
-		return !equalSimpleMaps(ptr.getValue(record), value);
-	}
-
-	if (propDesc.scalarValueType === 'object')
-		return !equalObjects(/*ptr.getValue(record), value*/);
+	if (ptr.collectionElement)
+		return !equalScalars(propDesc, ptr.getValue(record), value);
 
-	return (ptr.getValue(record) !== value);
+	return !equalPropValues(propDesc, ptr.getValue(record), value);
 }
 
 /**
@@ -215,26 +698,41 @@ class AddRecordPatchOperation extends RecordPatchOperation {
 	}
 
 	// apply implementation
-	apply(record, handlers) {
+	apply(record, handlers, journal) {
+
+		const pathPtr = selectorPointer.resolve(this._pathPtr, record);
 
 		// apply the operation if needs to be applied
-		if (needsAdd(this._pathPtr, record, this._value)) {
-			const oldValue = this._pathPtr.addValue(record, this._value);
-			if (this._pathPtr.collectionElement && (
-				this._pathPtr.propDesc.isArray() || (oldValue === undefined))) {
+		if (needsAdd(pathPtr, record, this._value)) {
+			if (journal)
+				journal.beforeChange(pathPtr, record);
+			const oldValue = pathPtr.addValue(record, this._value);
+			if (pathPtr.collectionElement && (
+				pathPtr.propDesc.isArray() || (oldValue === undefined))) {
 				if (handlers.onInsert)
 					handlers.onInsert(
-						'add', this._pathPtr, this._value, oldValue);
+						'add', pathPtr, this._value, oldValue);
 			} else {
 				if (handlers.onSet)
 					handlers.onSet(
-						'add', this._pathPtr, this._value, oldValue);
+						'add', pathPtr, this._value, oldValue);
 			}
 		}
 
 		// done
 		return true;
 	}
+
+	// noopChange implementation
+	noopChange(record) {
+
+		const pathPtr = selectorPointer.resolve(this._pathPtr, record);
+
+		if (needsAdd(pathPtr, record, this._value))
+			return null;
+
+		return createNoopChange('add', pathPtr, pathPtr.getValue(record));
+	}
 }
 
 /**
@@ -264,17 +762,19 @@ class MergeRecordPatchOperation extends RecordPatchOperation {
 	}
 
 	// apply implementation
-	apply(record, handlers) {
+	apply(record, handlers, journal) {
+
+		const pathPtr = selectorPointer.resolve(this._pathPtr, record);
 
 		// get current value
-		const oldValue = this._pathPtr.getValue(record);
+		const oldValue = pathPtr.getValue(record);
 
 		// patch it if it exists
 		if (oldValue)
-			return this._patch.apply(record, handlers);
+			return this._patch._applyOps(record, handlers, journal);
 
 		// otherwise, add it
-		return this._addOp(record, handlers);
+		return this._addOp.apply(record, handlers, journal);
 	}
 }
 
@@ -299,26 +799,43 @@ class RemoveRecordPatchOperation extends RecordPatchOperation {
 	}
 
 	// apply implementation
-	apply(record, handlers) {
+	apply(record, handlers, journal) {
+
+		const pathPtr = selectorPointer.resolve(this._pathPtr, record);
 
 		// remove the value from the original location
-		const oldValue = this._pathPtr.removeValue(record);
+		if (journal)
+			journal.beforeChange(pathPtr, record);
+		const oldValue = pathPtr.removeValue(record);
 
 		// call handlers if necessary
-		if (this._pathPtr.collectionElement) {
+		if (pathPtr.collectionElement) {
 			if (oldValue === undefined)
-				throw new common.X2DataError(
-					'No value to remove at ' + this._pathPtr + '.');
+				throw patchDataError(
+					'PATCH_NO_VALUE_TO_REMOVE',
+					'No value to remove at ' + pathPtr + '.', pathPtr);
 			if (handlers.onRemove)
-				handlers.onRemove('remove', this._pathPtr, oldValue);
+				handlers.onRemove('remove', pathPtr, oldValue);
 		} else {
 			if ((oldValue !== null) && handlers.onSet)
-				handlers.onSet('remove', this._pathPtr, null, oldValue);
+				handlers.onSet('remove', pathPtr, null, oldValue);
 		}
 
 		// done
 		return true;
 	}
+
+	// noopChange implementation
+	noopChange(record) {
+
+		const pathPtr = selectorPointer.resolve(this._pathPtr, record);
+
+		if (pathPtr.collectionElement ||
+			(pathPtr.getValue(record) !== null))
+			return null;
+
+		return createNoopChange('remove', pathPtr, null);
+	}
 }
 
 /**
@@ -345,18 +862,34 @@ class ReplaceRecordPatchOperation extends RecordPatchOperation {
 	}
 
 	// apply implementation
-	apply(record, handlers) {
+	apply(record, handlers, journal) {
+
+		const pathPtr = selectorPointer.resolve(this._pathPtr, record);
 
 		// apply the operation if needs to be applied
-		if (needsReplace(this._pathPtr, record, this._value)) {
-			const oldValue = this._pathPtr.replaceValue(record, this._value);
+		if (needsReplace(pathPtr, record, this._value)) {
+			if (journal)
+				journal.beforeChange(pathPtr, record);
+			const oldValue = pathPtr.replaceValue(record, this._value);
 			if (handlers.onSet)
-				handlers.onSet('replace', this._pathPtr, this._value, oldValue);
+				handlers.onSet('replace', pathPtr, this._value, oldValue);
 		}
 
 		// done
 		return true;
 	}
+
+	// noopChange implementation
+	noopChange(record) {
+
+		const pathPtr = selectorPointer.resolve(this._pathPtr, record);
+
+		if (needsReplace(pathPtr, record, this._value))
+			return null;
+
+		return createNoopChange(
+			'replace', pathPtr, pathPtr.getValue(record));
+	}
 }
 
 /**
@@ -384,43 +917,64 @@ class MoveRecordPatchOperation extends RecordPatchOperation {
 	}
 
 	// apply implementation
-	apply(record, handlers) {
+	apply(record, handlers, journal) {
+
+		const fromPtr = selectorPointer.resolve(this._fromPtr, record);
 
 		// check if pointers are equal
-		if (this._pathPtr.toString() === this._fromPtr.toString())
+		if (selectorPointer.resolve(this._pathPtr, record).toString() ===
+			fromPtr.toString())
 			return true;
 
 		// remove the value from the original location
-		const value = this._fromPtr.removeValue(record);
+		if (journal)
+			journal.beforeChange(fromPtr, record);
+		const value = fromPtr.removeValue(record);
 
 		// call handlers if necessary
-		if (this._fromPtr.collectionElement) {
+		if (fromPtr.collectionElement) {
 			if (value === undefined)
-				throw new common.X2DataError(
-					'No value to move at ' + this._fromPtr + '.');
+				throw patchDataError(
+					'PATCH_NO_VALUE_TO_MOVE',
+					'No value to move at ' + fromPtr + '.', fromPtr);
 			if (handlers.onRemove)
-				handlers.onRemove('move', this._fromPtr, value);
+				handlers.onRemove('move', fromPtr, value);
 		} else {
 			if ((value !== null) && handlers.onSet)
-				handlers.onSet('move', this._fromPtr, null, value);
+				handlers.onSet('move', fromPtr, null, value);
 		}
 
 		// check if needs to be added to the target location
-		if (needsAdd(this._pathPtr, record, value)) {
-			const oldValue = this._pathPtr.addValue(record, value);
-			if (this._pathPtr.collectionElement && (
-				this._pathPtr.propDesc.isArray() || (oldValue === undefined))) {
+		const pathPtr = selectorPointer.resolve(this._pathPtr, record);
+		if (needsAdd(pathPtr, record, value)) {
+			if (journal)
+				journal.beforeChange(pathPtr, record);
+			const oldValue = pathPtr.addValue(record, value);
+			if (pathPtr.collectionElement && (
+				pathPtr.propDesc.isArray() || (oldValue === undefined))) {
 				if (handlers.onInsert)
-					handlers.onInsert('move', this._pathPtr, value, oldValue);
+					handlers.onInsert('move', pathPtr, value, oldValue);
 			} else {
 				if (handlers.onSet)
-					handlers.onSet('move', this._pathPtr, value, oldValue);
+					handlers.onSet('move', pathPtr, value, oldValue);
 			}
 		}
 
 		// done
 		return true;
 	}
+
+	// noopChange implementation
+	noopChange(record) {
+
+		const pathPtr = selectorPointer.resolve(this._pathPtr, record);
+		const fromPtr = selectorPointer.resolve(this._fromPtr, record);
+
+		if (pathPtr.toString() !== fromPtr.toString())
+			return null;
+
+		return createNoopChange('move', pathPtr, pathPtr.getValue(record));
+	}
 }
 
 /**
@@ -448,31 +1002,314 @@ class CopyRecordPatchOperation extends RecordPatchOperation {
 	}
 
 	// apply implementation
-	apply(record, handlers) {
+	apply(record, handlers, journal) {
+
+		const pathPtr = selectorPointer.resolve(this._pathPtr, record);
+		const fromPtr = selectorPointer.resolve(this._fromPtr, record);
 
 		// get the value to copy
-		const value = this._fromPtr.getValue(record);
+		const value = fromPtr.getValue(record);
 		if (value === undefined)
-			throw new common.X2DataError(
-				'No value to copy at ' + this._fromPtr + '.');
+			throw patchDataError(
+				'PATCH_NO_VALUE_TO_COPY',
+				'No value to copy at ' + fromPtr + '.', fromPtr);
 
 		// check if needs to be added to the target location
-		if (needsAdd(this._pathPtr, record, value)) {
-			const oldValue = this._pathPtr.addValue(record, value);
-			if (this._pathPtr.collectionElement && (
-				this._pathPtr.propDesc.isArray() || (oldValue === undefined))) {
+		if (needsAdd(pathPtr, record, value)) {
+			if (journal)
+				journal.beforeChange(pathPtr, record);
+			const oldValue = pathPtr.addValue(record, value);
+			if (pathPtr.collectionElement && (
+				pathPtr.propDesc.isArray() || (oldValue === undefined))) {
 				if (handlers.onInsert)
-					handlers.onInsert('copy', this._pathPtr, value, oldValue);
+					handlers.onInsert('copy', pathPtr, value, oldValue);
 			} else {
 				if (handlers.onSet)
-					handlers.onSet('copy', this._pathPtr, value, oldValue);
+					handlers.onSet('copy', pathPtr, value, oldValue);
 			}
 		}
 
 		// done
 		return true;
 	}
-}
+
+	// noopChange implementation
+	noopChange(record) {
+
+		const pathPtr = selectorPointer.resolve(this._pathPtr, record);
+		const fromPtr = selectorPointer.resolve(this._fromPtr, record);
+
+		const value = fromPtr.getValue(record);
+		if ((value === undefined) || needsAdd(pathPtr, record, value))
+			return null;
+
+		return createNoopChange('copy', pathPtr, value);
+	}
+}
+
+/**
+ * "remove-value" patch operation implementation. Removes all elements equal to
+ * the value from a simple value array.
+ *
+ * @private
+ * @memberof module:x2node-patches
+ * @inner
+ * @extends module:x2node-patches~RecordPatchOperation
+ */
+class RemoveValueRecordPatchOperation extends RecordPatchOperation {
+
+	/**
+	 * Create new operation.
+	 *
+	 * @param {module:x2node-pointers~RecordElementPointer} pathPtr Pointer for
+	 * the array property, to which the operation is applied.
+	 * @param {*} value Value to remove.
+	 */
+	constructor(pathPtr, value) {
+		super(pathPtr);
+
+		this._value = value;
+	}
+
+	// apply implementation
+	apply(record, handlers, journal) {
+
+		const pathPtr = selectorPointer.resolve(this._pathPtr, record);
+
+		// remove matching elements starting from the end
+		const arr = pathPtr.getValue(record);
+		for (let i = (arr ? arr.length : 0) - 1; i >= 0; i--) {
+			if (!equalScalars(pathPtr.propDesc, arr[i], this._value))
+				continue;
+			const elementPtr = pathPtr.createChildPointer(String(i));
+			if (journal)
+				journal.beforeChange(elementPtr, record);
+			const oldValue = elementPtr.removeValue(record);
+			if (handlers.onRemove)
+				handlers.onRemove('remove-value', elementPtr, oldValue);
+		}
+
+		// done
+		return true;
+	}
+
+	// noopChange implementation
+	noopChange(record) {
+
+		const pathPtr = selectorPointer.resolve(this._pathPtr, record);
+
+		const arr = pathPtr.getValue(record);
+		if (arr && arr.some(v => equalScalars(pathPtr.propDesc, v, this._value)))
+			return null;
+
+		return createNoopChange('remove-value', pathPtr, arr);
+	}
+}
+
+/**
+ * "add-unique" patch operation implementation. Appends the value to a simple
+ * value array unless the array already contains an equal element.
+ *
+ * @private
+ * @memberof module:x2node-patches
+ * @inner
+ * @extends module:x2node-patches~RecordPatchOperation
+ */
+class AddUniqueRecordPatchOperation extends RecordPatchOperation {
+
+	/**
+	 * Create new operation.
+	 *
+	 * @param {module:x2node-pointers~RecordElementPointer} pathPtr Pointer for
+	 * the array property, to which the operation is applied.
+	 * @param {*} value Value to add.
+	 */
+	constructor(pathPtr, value) {
+		super(pathPtr);
+
+		this._value = value;
+	}
+
+	// apply implementation
+	apply(record, handlers, journal) {
+
+		const pathPtr = selectorPointer.resolve(this._pathPtr, record);
+
+		// check if already contains the value
+		const arr = pathPtr.getValue(record);
+		if (arr && arr.some(v => equalScalars(pathPtr.propDesc, v, this._value)))
+			return true;
+
+		// append the value
+		const elementPtr = pathPtr.createChildPointer('-');
+		const addedPtr = pathPtr.createChildPointer(String(arr ? arr.length : 0));
+		if (journal)
+			journal.beforeChange(elementPtr, record);
+		const oldValue = elementPtr.addValue(record, this._value);
+		if (handlers.onInsert)
+			handlers.onInsert('add-unique', addedPtr, this._value, oldValue);
+
+		// done
+		return true;
+	}
+
+	// noopChange implementation
+	noopChange(record) {
+
+		const pathPtr = selectorPointer.resolve(this._pathPtr, record);
+
+		const arr = pathPtr.getValue(record);
+		if (!arr || !arr.some(v => equalScalars(pathPtr.propDesc, v, this._value)))
+			return null;
+
+		return createNoopChange('add-unique', pathPtr, arr);
+	}
+}
+
+/**
+ * "increment" patch operation implementation. Adds a number to the current
+ * value of a number property or collection element.
+ *
+ * @private
+ * @memberof module:x2node-patches
+ * @inner
+ * @extends module:x2node-patches~RecordPatchOperation
+ */
+class IncrementRecordPatchOperation extends RecordPatchOperation {
+
+	/**
+	 * Create new operation.
+	 *
+	 * @param {module:x2node-pointers~RecordElementPointer} pathPtr Pointer for
+	 * the property, to which the operation is applied.
+	 * @param {number} by The number to add (negative to decrement).
+	 */
+	constructor(pathPtr, by) {
+		super(pathPtr);
+
+		this._by = by;
+	}
+
+	// apply implementation
+	apply(record, handlers, journal) {
+
+		const pathPtr = selectorPointer.resolve(this._pathPtr, record);
+
+		// get the current value
+		const oldValue = pathPtr.getValue(record);
+		if (((typeof oldValue) !== 'number') || !Number.isFinite(oldValue))
+			throw patchDataError(
+				'PATCH_NO_NUMBER_TO_INCREMENT',
+				'No number value to increment at ' + pathPtr + '.', pathPtr,
+				'number');
+
+		// apply the operation if needs to be applied
+		if (this._by !== 0) {
+			const newValue = oldValue + this._by;
+			if (journal)
+				journal.beforeChange(pathPtr, record);
+			pathPtr.replaceValue(record, newValue);
+			if (handlers.onSet)
+				handlers.onSet('increment', pathPtr, newValue, oldValue);
+		}
+
+		// done
+		return true;
+	}
+
+	// noopChange implementation
+	noopChange(record) {
+
+		if (this._by !== 0)
+			return null;
+
+		const pathPtr = selectorPointer.resolve(this._pathPtr, record);
+
+		return createNoopChange('increment', pathPtr, pathPtr.getValue(record));
+	}
+}
+
+/**
+ * Predicates supported by the "test" patch operation. Each predicate is a
+ * function that receives the pointer, the record, the value provided with
+ * the operation and, for the "pattern" predicate, the regular expression
+ * compiled from the value, and tells if the test passes.
+ *
+ * @private
+ * @constant {Object.<string,function>}
+ */
+const TEST_PREDICATES = {
+	'equals': (ptr, record, value) => !needsReplace(ptr, record, value),
+	'exists': (ptr, record) => !isEmptyValue(ptr.getValue(record)),
+	'absent': (ptr, record) => isEmptyValue(ptr.getValue(record)),
+	'type': (ptr, record, value) => {
+		const obj = ptr.getValue(record);
+		return (
+			(obj !== undefined) && (obj !== null) &&
+				(obj[ptr.propDesc.nestedProperties.typePropertyName] === value)
+		);
+	},
+	'lt': (ptr, record, value) => compareNumber(ptr, record, value, c => c < 0),
+	'lte': (ptr, record, value) => compareNumber(ptr, record, value, c => c <= 0),
+	'gt': (ptr, record, value) => compareNumber(ptr, record, value, c => c > 0),
+	'gte': (ptr, record, value) => compareNumber(ptr, record, value, c => c >= 0),
+	'pattern': (ptr, record, value, regExp) => {
+		const str = ptr.getValue(record);
+		return (((typeof str) === 'string') && regExp.test(str));
+	},
+	'in': (ptr, record, value) => value.some(v => !needsReplace(ptr, record, v)),
+	'contains': (ptr, record, value) => collectionElements(
+		ptr.getValue(record)).some(v => equalScalars(ptr.propDesc, v, value)),
+	'size': (ptr, record, value) => (
+		collectionElements(ptr.getValue(record)).length === value)
+};
+
+/**
+ * Tell if value is empty (<code>undefined</code> or <code>null</code>).
+ *
+ * @private
+ * @param {*} val The value.
+ * @returns {boolean} <code>true</code> if empty.
+ */
+function isEmptyValue(val) {
+
+	return ((val === undefined) || (val === null));
+}
+
+/**
+ * Compare number at the pointer location with the specified number.
+ *
+ * @private
+ * @param {module:x2node-pointers~RecordElementPointer} ptr The pointer.
+ * @param {Object} record The record.
+ * @param {number} value The number to compare with.
+ * @param {function} check Function that receives the difference between the
+ * number in the record and the specified number and tells if the test passes.
+ * @returns {boolean} <code>true</code> if the record has a number at the
+ * location and the check passes.
+ */
+function compareNumber(ptr, record, value, check) {
+
+	const num = ptr.getValue(record);
+
+	return (((typeof num) === 'number') && check(num - value));
+}
+
+/**
+ * Get elements of an array or map value.
+ *
+ * @private
+ * @param {(Array|Object)} [val] The array or map, or nothing if empty.
+ * @returns {Array} The elements.
+ */
+function collectionElements(val) {
+
+	if (isEmptyValue(val))
+		return [];
+
+	return (
+		Array.isArray(val) ? val : Object.keys(val).map(key => val[key]));
+}
 
 /**
  * "test" patch operation implementation.
@@ -489,29 +1326,100 @@ class TestRecordPatchOperation extends RecordPatchOperation {
 	 *
 	 * @param {module:x2node-pointers~RecordElementPointer} pathPtr Pointer for
 	 * the property, to which the operation is applied.
+	 * @param {string} predicate The test predicate.
 	 * @param {*} value Value to test against.
+	 * @param {RegExp} [regExp] For the "pattern" predicate, the regular
+	 * expression compiled from the value.
 	 */
-	constructor(pathPtr, value) {
+	constructor(pathPtr, predicate, value, regExp) {
 		super(pathPtr);
 
+		this._predicate = predicate;
 		this._value = value;
+		this._regExp = regExp;
 	}
 
 	// apply implementation
 	apply(record, handlers) {
 
+		const pathPtr = selectorPointer.resolve(this._pathPtr, record);
+
 		// do the test
-		const passed = !needsReplace(this._pathPtr, record, this._value);
+		const passed = TEST_PREDICATES[this._predicate](
+			pathPtr, record, this._value, this._regExp);
 
 		// call the handler if any
 		if (handlers.onTest)
-			handlers.onTest(this._pathPtr, this._value, passed);
+			handlers.onTest(pathPtr, this._value, passed, this._predicate);
 
 		// return the result
 		return passed;
 	}
 }
 
+/**
+ * Operation automatically added at the end of a versioned patch, which updates
+ * the record meta-info properties: increments the record version and sets the
+ * modification timestamp, if the record type has it.
+ *
+ * @private
+ * @memberof module:x2node-patches
+ * @inner
+ * @extends module:x2node-patches~RecordPatchOperation
+ */
+class MetaInfoRecordPatchOperation extends RecordPatchOperation {
+
+	/**
+	 * Create new operation.
+	 *
+	 * @param {module:x2node-pointers~RecordElementPointer} versionPtr Pointer
+	 * for the record version meta-info property.
+	 * @param {module:x2node-pointers~RecordElementPointer} [modTimestampPtr]
+	 * Pointer for the record modification timestamp meta-info property, if any.
+	 */
+	constructor(versionPtr, modTimestampPtr) {
+		super(versionPtr);
+
+		this._modTimestampPtr = modTimestampPtr;
+	}
+
+	// apply implementation
+	apply(record, handlers, journal) {
+
+		const oldVersion = this._pathPtr.getValue(record);
+		this._setValue(
+			record, handlers, journal, this._pathPtr,
+			((typeof oldVersion) === 'number' ? oldVersion + 1 : 1));
+
+		if (this._modTimestampPtr)
+			this._setValue(
+				record, handlers, journal, this._modTimestampPtr,
+				(new Date()).toISOString());
+
+		return true;
+	}
+
+	/**
+	 * Set meta-info property value.
+	 *
+	 * @private
+	 * @param {Object} record The record.
+	 * @param {module:x2node-patches.RecordPatchHandlers} handlers Handlers.
+	 * @param {module:x2node-patches~RecordPatchJournal} [journal]
+	 * Modifications journal, if any.
+	 * @param {module:x2node-pointers~RecordElementPointer} ptr Property
+	 * pointer.
+	 * @param {*} value The new value.
+	 */
+	_setValue(record, handlers, journal, ptr, value) {
+
+		if (journal)
+			journal.beforeChange(ptr, record);
+		const oldValue = ptr.replaceValue(record, value);
+		if (handlers.onSet)
+			handlers.onSet('meta-info', ptr, value, oldValue);
+	}
+}
 
 /**
  * Record patch, which is an implementation of
@@ -533,12 +1441,27 @@ class RecordPatch {
 	 * @param {Set.<string>} involvedPropPaths Involved property paths.
 	 * @param {Set.<string>} updatedPropPaths Paths of properties directly
 	 * updated by the patch.
+	 * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record
+	 * types library.
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc
+	 * Descriptor of the record type, against records of which the patch is
+	 * applied.
+	 * @param {Array.<module:x2node-patches~PatchReference>} refs References set
+	 * by the patch operations.
+	 * @param {Array.<module:x2node-patches~PatchIncrement>} increments
+	 * Increments made by the patch operations.
 	 */
-	constructor(patchOps, involvedPropPaths, updatedPropPaths) {
+	constructor(
+		patchOps, involvedPropPaths, updatedPropPaths, recordTypes,
+		recordTypeDesc, refs, increments) {
 
 		this._patchOps = patchOps;
 		this._involvedPropPaths = involvedPropPaths;
 		this._updatedPropPaths = updatedPropPaths;
+		this._recordTypes = recordTypes;
+		this._recordTypeDesc = recordTypeDesc;
+		this._refs = (refs || []);
+		this._increments = (increments || []);
 	}
 
 	/**
@@ -547,21 +1470,373 @@ class RecordPatch {
 	 * @param {Object} record The record to patch.
 	 * @param {module:x2node-patches.RecordPatchHandlers} [handlers] Handlers
 	 * called when a patch operation is applied.
+	 * @param {Object} [options] Patch application options.
+	 * @param {boolean} [options.transactional] If <code>true</code>, the
+	 * modifications made to the record are journaled and if a "test" operation
+	 * fails or an error is thrown, the record is restored to its exact original
+	 * state (including the arrays order and the maps keys) and the handlers'
+	 * <code>onRollback()</code> method, if present, is called.
+	 * @param {boolean} [options.validate] If <code>true</code>, after all the
+	 * operations are applied, the resulting record is validated against the
+	 * record type definition: required properties, value types, non-empty
+	 * required arrays and maps and polymorphic object types. If the record is
+	 * invalid, an <code>X2DataError</code> with "PATCH_INVALID_RESULT" code is
+	 * thrown (and in the transactional mode the record is rolled back).
 	 * @returns {boolean} <code>true</code> if the patch was applied,
 	 * <code>false</code> if a "test" operation in the patch failed. Note, that
 	 * in the case of a failed "test" operation the record may be partially
-	 * modified as this method does not provide transactionality.
+	 * modified unless the patch is applied in the transactional mode.
 	 * @throws {module:x2node-common.X2DataError} If the patch could not be
 	 * applied because the record is invalid (e.g. missing properties that are
-	 * expected to be present by the patch logic).
+	 * expected to be present by the patch logic), or if validation of the
+	 * resulting record is requested and the record is invalid. The error has
+	 * <code>code</code>, <code>opIndex</code> and <code>pointer</code>
+	 * properties. The validation error also has <code>violations</code>
+	 * property, which is an array of
+	 * [RecordViolation]{@link module:x2node-patches~RecordViolation} objects.
 	 */
-	apply(record, handlers) {
+	apply(record, handlers, options) {
 
 		const handlersToUse = (handlers || {});
+		const validate = (options && options.validate);
+
+		// check if non-transactional
+		if (!options || !options.transactional)
+			return this._applyAndValidate(
+				record, handlersToUse, undefined, validate);
+
+		// apply the operations using the journal
+		const journal = new RecordPatchJournal();
+		let passed;
+		try {
+			passed = this._applyAndValidate(
+				record, handlersToUse, journal, validate);
+		} catch (err) {
+			journal.rollback();
+			if (handlersToUse.onRollback)
+				handlersToUse.onRollback(err);
+			throw err;
+		}
+
+		// roll back if a test failed
+		if (!passed) {
+			journal.rollback();
+			if (handlersToUse.onRollback)
+				handlersToUse.onRollback();
+		}
+
+		// done
+		return passed;
+	}
+
+	/**
+	 * Apply patch to the specified record asynchronously. The patch operations
+	 * are applied the same way as by the
+	 * [apply()]{@link module:x2node-patches~RecordPatch#apply} method, but the
+	 * handler methods may return promises. After each operation is applied to
+	 * the record, the handlers are called for the changes made by the operation
+	 * one by one and each returned promise is waited for before calling the
+	 * next handler. The next operation is applied only after all the handlers
+	 * for the previous operation have completed. If a handler rejects (or
+	 * throws), the rest of the patch is not applied.
+	 *
+	 * @param {Object} record The record to patch.
+	 * @param {module:x2node-patches.RecordPatchHandlers} [handlers] Handlers
+	 * called when a patch operation is applied.
+	 * @param {Object} [options] Patch application options.
+	 * @param {boolean} [options.transactional] If <code>true</code>, the record
+	 * is restored to its original state if a "test" operation fails, an error
+	 * is thrown or a handler rejects. The handlers' <code>onRollback()</code>
+	 * method, if present, is called and waited for after the record is restored.
+	 * @param {boolean} [options.validate] If <code>true</code>, the resulting
+	 * record is validated the same way as by the
+	 * [apply()]{@link module:x2node-patches~RecordPatch#apply} method. The
+	 * validation is performed after the last operation is applied, but before
+	 * the handlers are called for the changes made by it. If the record is
+	 * invalid, those handlers are not called and the promise is rejected with
+	 * the validation error.
+	 * @param {module:x2node-patches.RefResolver} [options.refResolver] If
+	 * provided, before any of the operations is applied, the references set by
+	 * the patch are checked using the resolver (see
+	 * [checkReferences()]{@link module:x2node-patches~RecordPatch#checkReferences}).
+	 * @returns {Promise.<boolean>} Promise of <code>true</code> if the patch was
+	 * applied, or <code>false</code> if a "test" operation in the patch failed.
+	 * The promise is rejected with the error thrown by the patch operation
+	 * (such as <code>X2DataError</code> if the record is invalid), the
+	 * handler's rejection reason, the validation error, or the reference check
+	 * error.
+	 */
+	applyAsync(record, handlers, options) {
+
+		// check the references first, if requested
+		if (options && options.refResolver)
+			return this.checkReferences(options.refResolver).then(
+				() => this.applyAsync(
+					record, handlers,
+					Object.assign({}, options, { refResolver: undefined })));
 
-		for (let patchOp of this._patchOps)
-			if (!patchOp.apply(record, handlersToUse))
+		const handlersToUse = (handlers || {});
+
+		// handlers that queue the calls to the actual handlers
+		const calls = new Array();
+		const queueingHandlers = {};
+		for (let method of [ 'onInsert', 'onRemove', 'onSet', 'onTest' ])
+			if (handlersToUse[method])
+				queueingHandlers[method] = (...args) => {
+					calls.push({ method: method, args: args });
+				};
+
+		// apply the operations one by one calling the handlers in between
+		const journal = (
+			options && options.transactional ?
+				new RecordPatchJournal() : undefined);
+		const changes = (
+			options && options.validate ? new Array() : undefined);
+		let opInd = 0;
+		const applyNext = () => {
+			if (opInd >= this._patchOps.length)
+				return true;
+			const patchOp = this._patchOps[opInd++];
+			const opJournal = (
+				changes ?
+					new RecordPatchChangeTracker(
+						journal, changes, patchOp.opIndex) :
+					journal);
+			const passed = callPatchOperation(patchOp, () => patchOp.apply(
+				record, queueingHandlers, opJournal));
+			if (passed && changes && (opInd >= this._patchOps.length))
+				this._validateResult(record, changes);
+			return calls.splice(0, calls.length).reduce(
+				(promise, call) => promise.then(
+					() => handlersToUse[call.method].apply(
+						handlersToUse, call.args)),
+				Promise.resolve()
+			).then(() => (passed ? applyNext() : false));
+		};
+		const result = new Promise(resolve => { resolve(applyNext()); });
+
+		// check if non-transactional
+		if (!journal)
+			return result;
+
+		// roll back on error or a failed test
+		const rollback = err => {
+			journal.rollback();
+			return Promise.resolve(
+				handlersToUse.onRollback && handlersToUse.onRollback(err));
+		};
+		return result.then(
+			passed => (passed ? true : rollback().then(() => false)),
+			err => rollback(err).then(() => Promise.reject(err))
+		);
+	}
+
+	/**
+	 * Apply patch to the specified record without modifying it. Instead, a new
+	 * record is returned with the patch applied. Only the objects, arrays and
+	 * maps on the paths to the locations modified by the patch are copied, while
+	 * all unmodified parts of the record are shared by reference between the
+	 * original and the new record. Neither the original record, nor the values
+	 * in the patch specification are ever modified, so the method can be used
+	 * with frozen records.
+	 *
+	 * @param {Object} record The record to patch. Not modified.
+	 * @param {module:x2node-patches.RecordPatchHandlers} [handlers] Handlers
+	 * called when a patch operation is applied. The pointers passed to the
+	 * handlers refer to the new record.
+	 * @returns {Object} The new record. If the patch does not change anything,
+	 * or if a "test" operation in the patch fails (which can be detected using
+	 * the handlers' <code>onTest()</code> method), the original record is
+	 * returned.
+	 * @throws {module:x2node-common.X2DataError} If the patch could not be
+	 * applied because the record is invalid (e.g. missing properties that are
+	 * expected to be present by the patch logic).
+	 */
+	applyImmutable(record, handlers) {
+
+		const view = new RecordPatchCopyOnWrite(record);
+
+		if (!this._applyOps(view.record, (handlers || {}), view))
+			return record;
+
+		return view.result;
+	}
+
+	/**
+	 * Result of a patch preview.
+	 *
+	 * @typedef {Object} module:x2node-patches~RecordPatch~PreviewResult
+	 * @property {boolean} passed <code>false</code> if a "test" operation in
+	 * the patch failed, in which case the preview stops at the failed test.
+	 * @property {Array.<module:x2node-patches~RecordChange>} changes Changes
+	 * the patch would make to the record, in the order of application,
+	 * including the no-op changes.
+	 * @property {Array.<Object>} tests Results of the "test" operations, each
+	 * an object with <code>pointer</code>, <code>predicate</code> (the
+	 * evaluated test predicate), <code>value</code> (the value tested against)
+	 * and <code>passed</code> properties.
+	 */
+
+	/**
+	 * Preview changes the patch would make to the specified record without
+	 * modifying it. The patch operations are applied to a copy-on-write view of
+	 * the record, so only the record parts modified by the patch are copied.
+	 * Operations that would not change the record, because the target location
+	 * already has the value (see the "add" and "replace" operations
+	 * description), are included in the changes with the <code>noop</code>
+	 * flag. Note, that such operations nested in "merge" operations are not
+	 * included.
+	 *
+	 * @param {Object} record The record. Not modified.
+	 * @returns {module:x2node-patches~RecordPatch~PreviewResult} The preview
+	 * result.
+	 * @throws {module:x2node-common.X2DataError} If the patch could not be
+	 * applied because the record is invalid (e.g. missing properties that are
+	 * expected to be present by the patch logic).
+	 */
+	preview(record) {
+
+		const changes = new Array();
+		const tests = new Array();
+		const change = (op, ptr, newValue, oldValue) => {
+			changes.push({
+				op: op,
+				pointer: ptr.toString(),
+				oldValue: oldValue,
+				newValue: newValue,
+				noop: false
+			});
+		};
+		const handlers = {
+			onInsert: change,
+			onRemove(op, ptr, oldValue) {
+				change(op, ptr, undefined, oldValue);
+			},
+			onSet: change,
+			onTest(ptr, value, passed, predicate) {
+				tests.push({
+					pointer: ptr.toString(),
+					predicate: predicate,
+					value: value,
+					passed: passed
+				});
+			}
+		};
+
+		// evaluate the operations on the view
+		const view = new RecordPatchCopyOnWrite(record);
+		let passed = true;
+		for (let patchOp of this._patchOps) {
+			const noop = callPatchOperation(
+				patchOp, () => patchOp.noopChange(view.record));
+			if (noop) {
+				changes.push(noop);
+			} else if (!callPatchOperation(
+				patchOp, () => patchOp.apply(view.record, handlers, view))) {
+				passed = false;
+				break;
+			}
+		}
+
+		// return the result
+		return {
+			passed: passed,
+			changes: changes,
+			tests: tests
+		};
+	}
+
+	/**
+	 * Apply patch operations to the specified record and, if requested and
+	 * all the operations were applied, validate the resulting record.
+	 *
+	 * @private
+	 * @param {Object} record The record to patch.
+	 * @param {module:x2node-patches.RecordPatchHandlers} handlers Handlers.
+	 * @param {module:x2node-patches~RecordPatchJournal} [journal] Modifications
+	 * journal, if any.
+	 * @param {boolean} [validate] <code>true</code> to validate the result.
+	 * @returns {boolean} <code>false</code> if a "test" operation failed.
+	 * @throws {module:x2node-common.X2DataError} If the resulting record is
+	 * invalid.
+	 */
+	_applyAndValidate(record, handlers, journal, validate) {
+
+		if (!validate)
+			return this._applyOps(record, handlers, journal);
+
+		const changes = new Array();
+		if (!this._applyOps(record, handlers, journal, changes))
+			return false;
+
+		this._validateResult(record, changes);
+
+		return true;
+	}
+
+	/**
+	 * Validate the patched record.
+	 *
+	 * @private
+	 * @param {Object} record The patched record.
+	 * @param {Array.<Object>} changes Locations changed by the patch operations
+	 * (see {@link module:x2node-patches~RecordPatchChangeTracker}).
+	 * @throws {module:x2node-common.X2DataError} If the record is invalid.
+	 */
+	_validateResult(record, changes) {
+
+		const violations = validateRecord(
+			this._recordTypes, this._recordTypeDesc, record);
+		if (violations.length === 0)
+			return;
+
+		// find the last operation that changed each invalid location
+		for (let violation of violations) {
+			const prefix = `${violation.pointer}/`;
+			let cause;
+			for (let change of changes)
+				if ((change.pointer === violation.pointer) ||
+					change.pointer.startsWith(prefix) ||
+					violation.pointer.startsWith(`${change.pointer}/`))
+					cause = change;
+			violation.opIndex = (cause && cause.opIndex);
+		}
+
+		const err = patchDataError(
+			'PATCH_INVALID_RESULT',
+			'Patched record is invalid: ' +
+				violations.map(v => v.message).join(' '),
+			violations[0].pointer);
+		err.opIndex = violations[0].opIndex;
+		err.violations = violations;
+		throw err;
+	}
+
+	/**
+	 * Apply patch operations to the specified record.
+	 *
+	 * @private
+	 * @param {Object} record The record to patch.
+	 * @param {module:x2node-patches.RecordPatchHandlers} handlers Handlers.
+	 * @param {module:x2node-patches~RecordPatchJournal} [journal] Modifications
+	 * journal, if any.
+	 * @param {Array.<Object>} [changes] If provided, list, to which to add the
+	 * locations changed by each operation (see
+	 * {@link module:x2node-patches~RecordPatchChangeTracker}).
+	 * @returns {boolean} <code>false</code> if a "test" operation failed.
+	 */
+	_applyOps(record, handlers, journal, changes) {
+
+		for (let patchOp of this._patchOps) {
+			const opJournal = (
+				changes ?
+					new RecordPatchChangeTracker(
+						journal, changes, patchOp.opIndex) :
+					journal);
+			if (!callPatchOperation(
+				patchOp, () => patchOp.apply(record, handlers, opJournal)))
 				return false;
+		}
 
 		return true;
 	}
@@ -583,46 +1858,533 @@ class RecordPatch {
 	 * @readonly
 	 */
 	get updatedPropPaths() { return this._updatedPropPaths; }
+
+	/**
+	 * References (in "RecordType#id" format) set by the patch operations. The
+	 * references copied or moved within the record by "copy" and "move"
+	 * operations are not included.
+	 *
+	 * @member {Array.<module:x2node-patches~PatchReference>}
+	 * @readonly
+	 */
+	get references() { return this._refs; }
+
+	/**
+	 * Increments made by the "increment" patch operations, in the order of the
+	 * operations. The incremented properties are also included in the
+	 * <code>updatedPropPaths</code>.
+	 *
+	 * @member {Array.<module:x2node-patches~PatchIncrement>}
+	 * @readonly
+	 */
+	get increments() { return this._increments; }
+
+	/**
+	 * Check that all records referred by the references set by the patch
+	 * operations exist.
+	 *
+	 * @param {module:x2node-patches.RefResolver} resolver The resolver.
+	 * @returns {Promise} Promise, which is fulfilled with nothing if all the
+	 * referred records exist, or is rejected with an
+	 * <code>X2DataError</code> with "PATCH_MISSING_REFERENCE" code. The error's
+	 * <code>opIndex</code> and <code>pointer</code> properties are those of the
+	 * first operation that sets a missing reference, and the error's
+	 * <code>missing</code> property lists all the missing references. The
+	 * promise is also rejected if the resolver rejects.
+	 */
+	checkReferences(resolver) {
+
+		const refs = Array.from(new Set(this._refs.map(r => r.ref)));
+		if (refs.length === 0)
+			return Promise.resolve();
+
+		return Promise.resolve(resolver(refs)).then(existingRefs => {
+			const existing = new Set(existingRefs);
+			const missing = this._refs.filter(r => !existing.has(r.ref));
+			if (missing.length === 0)
+				return;
+			const err = patchDataError(
+				'PATCH_MISSING_REFERENCE',
+				'Referred records do not exist: ' +
+					Array.from(new Set(missing.map(r => r.ref))).join(', ') + '.',
+				missing[0].pointer);
+			err.opIndex = missing[0].opIndex;
+			err.missing = missing;
+			return Promise.reject(err);
+		});
+	}
 }
 
+/**
+ * Reference set by a patch operation.
+ *
+ * @typedef {Object} module:x2node-patches~PatchReference
+ * @property {string} ref The reference.
+ * @property {number} opIndex Index of the operation in the patch specification.
+ * For an operation nested in a "merge" operation, index of the "merge"
+ * operation.
+ * @property {string} pointer The operation pointer.
+ */
+
+/**
+ * Increment made by an "increment" patch operation.
+ *
+ * @typedef {Object} module:x2node-patches~PatchIncrement
+ * @property {number} opIndex Index of the operation in the patch specification.
+ * For an operation nested in a "merge" operation, index of the "merge"
+ * operation.
+ * @property {string} pointer The operation pointer.
+ * @property {string} propPath Path (in dot notation) of the incremented
+ * property.
+ * @property {number} by The number added to the value.
+ */
+
+/**
+ * Reference resolver used to check that referred records exist.
+ *
+ * @callback module:x2node-patches.RefResolver
+ * @param {Array.<string>} refs Unique references to check in "RecordType#id"
+ * format.
+ * @returns {(Promise.<Iterable.<string>>|Iterable.<string>)} Those of the
+ * provided references that refer to existing records.
+ */
+
 
 /**
  * Build record patch object from JSON Patch specification.
  *
+ * <p>If the record type has a version meta-info property, the patch can be
+ * made versioned by providing the expected version in the options, or by
+ * including an equality "test" operation for the version property in the
+ * patch specification. A versioned patch fails to apply to a record with a
+ * different version the same way as when any other "test" operation fails. If
+ * a versioned patch contains operations other than "test", when it is
+ * successfully applied the record version is incremented and the modification
+ * timestamp meta-info property, if the record type has it, is set to the
+ * current time. The changes are reported to the handlers' <code>onSet()</code>
+ * method with "meta-info" as the operation.
+ *
  * @function module:x2node-patches.build
  * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
  * library.
  * @param {string} recordTypeName Name of the record type, against records of
  * which the patch will be applied.
  * @param {Array.<Object>} patch RFC 6902 JSON patch specification.
+ * @param {Object} [options] Build options.
+ * @param {(number|string)} [options.expectVersion] Record version, which must
+ * match the record version meta-info property value for the patch to apply.
+ * Makes the patch versioned.
+ * @param {(function|Object)} [options.policy] Policy that tells what
+ * operations are allowed on what properties. Either a function that receives
+ * property path (in dot notation), access kind and the operation pointer and
+ * returns <code>false</code> to deny the access, or an object keyed by property
+ * paths. The values in the object are either Booleans to allow or deny any
+ * access to the property, or objects keyed by access kinds (or "*" for any
+ * other kind) with Boolean values. The access kind is the operation type for
+ * the operation "path", or "move-from" and "copy-from" for the "from" of
+ * "move" and "copy" operations. Access to a nested object is also checked for
+ * all of its properties. If the policy object does not have an entry for a
+ * property, the closest parent property entry is used, and if none, the
+ * access is allowed.
+ * @param {Object.<string,(module:x2node-patches.ValueValidator|Array.<module:x2node-patches.ValueValidator>)>}
+ * [options.valueValidators] Custom validators for the new values provided in
+ * the patch operations, keyed by property paths (in dot notation). The
+ * validators are called after the validators specified in the property
+ * definitions with <code>valueValidators</code> attribute, if any.
  * @returns {module:x2node-patches~RecordPatch} The patch object that can be used
  * to apply the patch to records.
  * @throws {module:x2node-common.X2UsageError} If the provided record type name
- * is invalid.
+ * is invalid, the expected version is specified and the record type does not
+ * have a version meta-info property or the version is invalid, or the policy
+ * or a custom value validator is invalid.
  * @throws {module:x2node-common.X2SyntaxError} If the provided patch
- * specification is invalid.
+ * specification is invalid. The error has <code>code</code> and
+ * <code>opIndex</code> properties and, if known, <code>pointer</code>,
+ * <code>propPath</code> and <code>expectedType</code> properties.
+ * @throws {module:x2node-patches.PatchPolicyError} If an operation in the
+ * patch specification is not allowed by the policy.
+ */
+function build(recordTypes, recordTypeName, patch, options) {
+
+	// get the record type descriptor
+	if (!recordTypes.hasRecordType(recordTypeName))
+		throw new common.X2UsageError(
+			`Unknown record type ${recordTypeName}.`);
+	const recordTypeDesc = recordTypes.getRecordTypeDesc(recordTypeName);
+
+	// make sure the patch spec is an array
+	if (!Array.isArray(patch))
+		throw patchSyntaxError(
+			'PATCH_NOT_ARRAY', 'Patch specification is not an array.');
+
+	// process patch operations
+	const involvedPropPaths = new Set();
+	const updatedPropPaths = new Set();
+	const patchOps = patch.map((patchOpDef, opInd) => {
+		let patchOp;
+		try {
+			patchOp = parsePatchOperation(
+				recordTypes, recordTypeDesc, patchOpDef, opInd,
+				involvedPropPaths, updatedPropPaths,
+				(options && options.valueValidators));
+		} catch (err) {
+			if (err instanceof common.X2SyntaxError)
+				err.opIndex = opInd;
+			throw err;
+		}
+		patchOp.opIndex = opInd;
+		return patchOp;
+	});
+
+	// check the operations against the policy
+	if (options && (options.policy !== undefined))
+		patchPolicy.checkPatch(recordTypeDesc, options.policy, patch);
+
+	// add version check and meta-info update if versioned
+	const versionPropName = getMetaInfoPropName(recordTypeDesc, 'version');
+	const expectVersion = (options && options.expectVersion);
+	if (expectVersion !== undefined) {
+		if (!versionPropName)
+			throw new common.X2UsageError(
+				`Record type ${recordTypeName} does not have version meta-info` +
+					` property.`);
+		const versionPtr = selectorPointer.parse(
+			recordTypeDesc, `/${versionPropName}`);
+		const invalid = isInvalidScalarValueType(
+			recordTypes, expectVersion, versionPtr.propDesc, false);
+		if (invalid)
+			throw new common.X2UsageError(`Invalid expected version: ${invalid}`);
+		patchOps.unshift(new TestRecordPatchOperation(
+			addInvolvedProperty(versionPtr, involvedPropPaths), 'equals',
+			expectVersion));
+	}
+	if (versionPropName && ((expectVersion !== undefined) || patch.some(
+		opDef => isVersionTest(opDef, versionPropName))) &&
+		patch.some(opDef => (opDef.op !== 'test'))) {
+		const modTimestampPropName = getMetaInfoPropName(
+			recordTypeDesc, 'modificationTimestamp');
+		patchOps.push(new MetaInfoRecordPatchOperation(
+			addInvolvedProperty(
+				selectorPointer.parse(recordTypeDesc, `/${versionPropName}`),
+				involvedPropPaths),
+			modTimestampPropName && addInvolvedProperty(
+				selectorPointer.parse(recordTypeDesc, `/${modTimestampPropName}`),
+				involvedPropPaths)
+		));
+	}
+
+	// collect the references set and the increments made by the patch
+	const refs = new Map();
+	const increments = new Array();
+	patch.forEach((patchOpDef, opInd) => {
+		collectOperationRefs(recordTypeDesc, patchOpDef, opInd, refs);
+		collectOperationIncrements(
+			recordTypeDesc, patchOpDef, opInd, increments);
+	});
+
+	// return the patch object
+	return new RecordPatch(
+		patchOps, involvedPropPaths, updatedPropPaths, recordTypes,
+		recordTypeDesc, Array.from(refs.values()), increments);
+}
+
+/**
+ * Collect increments made by a patch operation.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record type
+ * descriptor.
+ * @param {Object} patchOpDef Patch operation definition. Assumed to be valid.
+ * @param {number} opInd Index of the top patch operation.
+ * @param {Array.<module:x2node-patches~PatchIncrement>} increments List, to
+ * which to add the increments.
+ */
+function collectOperationIncrements(
+	recordTypeDesc, patchOpDef, opInd, increments) {
+
+	switch (patchOpDef.op) {
+	case 'increment':
+		increments.push({
+			opIndex: opInd,
+			pointer: patchOpDef.path,
+			propPath: selectorPointer.parse(
+				recordTypeDesc, patchOpDef.path).propPath,
+			by: patchOpDef.by
+		});
+		break;
+	case 'merge':
+		for (let mergePatchOpDef of patchOpDef.patch)
+			collectOperationIncrements(
+				recordTypeDesc, mergePatchOpDef, opInd, increments);
+	}
+}
+
+/**
+ * Collect references set by a patch operation. For a "merge" operation, only
+ * the nested operations are looked at, since the merge value contains the same
+ * references. The same reference set more than once at the same pointer by the
+ * same top patch operation is collected once.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record type
+ * descriptor.
+ * @param {Object} patchOpDef Patch operation definition. Assumed to be valid.
+ * @param {number} opInd Index of the top patch operation.
+ * @param {Map.<string,module:x2node-patches~PatchReference>} refs Map, to
+ * which to add the references, keyed by the operation index, pointer and
+ * reference.
+ */
+function collectOperationRefs(recordTypeDesc, patchOpDef, opInd, refs) {
+
+	// collect references in the nested operations of "merge"
+	if (patchOpDef.op === 'merge') {
+		for (let mergePatchOpDef of patchOpDef.patch)
+			collectOperationRefs(recordTypeDesc, mergePatchOpDef, opInd, refs);
+		return;
+	}
+
+	// only operations that set new values
+	if (![ 'add', 'replace', 'add-unique' ].includes(patchOpDef.op))
+		return;
+
+	// collect references in the operation value
+	const ptr = selectorPointer.parse(recordTypeDesc, patchOpDef.path);
+	collectValueRefs(
+		ptr.propDesc,
+		(!ptr.collectionElement && (patchOpDef.op !== 'add-unique')),
+		patchOpDef.value,
+		ref => {
+			const key = `${opInd}:${patchOpDef.path}:${ref}`;
+			if (!refs.has(key))
+				refs.set(key, {
+					ref: ref,
+					opIndex: opInd,
+					pointer: patchOpDef.path
+				});
+		});
+}
+
+/**
+ * Recursively collect references in a property value.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {boolean} whole <code>true</code> if the value is the whole property
+ * value, <code>false</code> if a collection element.
+ * @param {*} val The value. Assumed to be valid.
+ * @param {function} addRef Function to call with each found reference.
+ */
+function collectValueRefs(propDesc, whole, val, addRef) {
+
+	if ((val === undefined) || (val === null))
+		return;
+
+	if (whole && propDesc.isArray()) {
+		val.forEach(v => { collectValueRefs(propDesc, false, v, addRef); });
+	} else if (whole && propDesc.isMap()) {
+		Object.keys(val).forEach(k => {
+			collectValueRefs(propDesc, false, val[k], addRef);
+		});
+	} else if (propDesc.isRef()) {
+		addRef(val);
+	} else if (propDesc.scalarValueType === 'object') {
+		const containers = [ propDesc.nestedProperties ];
+		if (propDesc.isPolymorphObject()) {
+			const subtype = val[containers[0].typePropertyName];
+			if (containers[0].subtypes.includes(subtype))
+				containers.push(
+					containers[0].getPropertyDesc(subtype).nestedProperties);
+		}
+		for (let container of containers)
+			for (let propName of container.allPropertyNames) {
+				const nestedPropDesc = container.getPropertyDesc(propName);
+				if (!nestedPropDesc.isView() && !nestedPropDesc.isCalculated() &&
+					!nestedPropDesc.isSubtype())
+					collectValueRefs(nestedPropDesc, true, val[propName], addRef);
+			}
+	}
+}
+
+/**
+ * Patch specification validation error descriptor.
+ *
+ * @typedef {Object} module:x2node-patches.PatchValidationError
+ * @property {number} [opIndex] Index of the invalid operation in the patch
+ * specification. For an operation nested in a "merge" operation, index of the
+ * "merge" operation. Not present if the patch specification itself is invalid.
+ * @property {string} [op] The invalid operation type, if known.
+ * @property {string} [pointer] The offending pointer, if known.
+ * @property {string} [propPath] Path (in dot notation) of the property, to
+ * which the offending pointer points, if known.
+ * @property {string} code Error code, such as "PATCH_INVALID_POINTER",
+ * "PATCH_INVALID_VALUE_TYPE" or "PATCH_POLICY_VIOLATION".
+ * @property {string} [expectedType] For an invalid value type, the expected
+ * type.
+ * @property {string} message Human-readable error message.
+ */
+
+/**
+ * Validate JSON Patch specification and collect all errors instead of failing
+ * on the first one like the [build()]{@link module:x2node-patches.build}
+ * function does. Each operation is validated independently. Operations nested
+ * in "merge" operations are validated individually as well.
+ *
+ * @function module:x2node-patches.validate
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {string} recordTypeName Name of the record type, against records of
+ * which the patch will be applied.
+ * @param {Array.<Object>} patch RFC 6902 JSON patch specification.
+ * @param {Object} [options] Validation options.
+ * @param {(function|Object)} [options.policy] Policy, the same as for the
+ * [build()]{@link module:x2node-patches.build} function. Operations that are
+ * not allowed are reported with "PATCH_POLICY_VIOLATION" code.
+ * @param {Object.<string,(module:x2node-patches.ValueValidator|Array.<module:x2node-patches.ValueValidator>)>}
+ * [options.valueValidators] Custom value validators, the same as for the
+ * [build()]{@link module:x2node-patches.build} function.
+ * @returns {Array.<module:x2node-patches.PatchValidationError>} The errors.
+ * Empty array if the patch specification is valid.
+ * @throws {module:x2node-common.X2UsageError} If the provided record type name
+ * is invalid, or the policy or a custom value validator is invalid.
+ */
+function validate(recordTypes, recordTypeName, patch, options) {
+
+	// get the record type descriptor
+	if (!recordTypes.hasRecordType(recordTypeName))
+		throw new common.X2UsageError(
+			`Unknown record type ${recordTypeName}.`);
+	const recordTypeDesc = recordTypes.getRecordTypeDesc(recordTypeName);
+
+	// make sure the patch spec is an array
+	if (!Array.isArray(patch))
+		return [ {
+			code: 'PATCH_NOT_ARRAY',
+			message: 'Patch specification is not an array.'
+		} ];
+
+	// get the policy, if any
+	const isAllowed = (
+		options && (options.policy !== undefined) ?
+			patchPolicy.createPolicyFunction(options.policy) : undefined);
+
+	// validate the operations
+	const errors = new Array();
+	patch.forEach((patchOpDef, opInd) => {
+		validatePatchOperation(
+			recordTypes, recordTypeDesc, isAllowed,
+			(options && options.valueValidators), patchOpDef, opInd, errors);
+	});
+
+	// return the collected errors
+	return errors;
+}
+
+/**
+ * Validate patch operation and add any errors to the errors list.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record type
+ * descriptor.
+ * @param {function} [isAllowed] Policy function, if any.
+ * @param {Object.<string,(function|Array.<function>)>} [valueValidators]
+ * Custom value validators by property paths, if any.
+ * @param {Object} patchOpDef Patch operation definition.
+ * @param {number} topOpInd Index of the top patch operation.
+ * @param {Array.<module:x2node-patches.PatchValidationError>} errors The
+ * errors list, to which to add the errors.
+ */
+function validatePatchOperation(
+	recordTypes, recordTypeDesc, isAllowed, valueValidators, patchOpDef,
+	topOpInd, errors) {
+
+	// validate "merge" operation itself and then its nested operations
+	const merge = (
+		((typeof patchOpDef) === 'object') && (patchOpDef !== null) &&
+			(patchOpDef.op === 'merge') && Array.isArray(patchOpDef.patch));
+	const opDefToCheck = (
+		merge ? Object.assign({}, patchOpDef, { patch: [] }) : patchOpDef);
+
+	// parse the operation and check it against the policy
+	try {
+		parsePatchOperation(
+			recordTypes, recordTypeDesc, opDefToCheck, topOpInd,
+			new Set(), new Set(), valueValidators);
+		if (isAllowed)
+			patchPolicy.checkOperation(
+				recordTypeDesc, isAllowed, opDefToCheck, topOpInd);
+	} catch (err) {
+		if (!(err instanceof common.X2SyntaxError))
+			throw err;
+		const opSpecified = (
+			((typeof patchOpDef) === 'object') && (patchOpDef !== null));
+		errors.push({
+			opIndex: topOpInd,
+			op: (opSpecified && ((typeof patchOpDef.op) === 'string') ?
+				patchOpDef.op : undefined),
+			pointer: (err.pointer !== undefined ? err.pointer : (
+				opSpecified && ((typeof patchOpDef.path) === 'string') ?
+					patchOpDef.path : undefined)),
+			propPath: err.propPath,
+			code: (err.code || 'PATCH_INVALID_OPERATION'),
+			expectedType: err.expectedType,
+			message: err.message
+		});
+	}
+
+	// validate nested operations
+	if (merge)
+		patchOpDef.patch.forEach(mergePatchOpDef => {
+			validatePatchOperation(
+				recordTypes, recordTypeDesc, isAllowed, valueValidators,
+				mergePatchOpDef, topOpInd, errors);
+		});
+}
+
+/**
+ * Get name of the record meta-info property with the specified role. If the
+ * record type descriptor is extended with
+ * <code>getRecordMetaInfoPropName()</code> method (for example, by the
+ * <code>x2node-dbos</code> module), the method is used. Otherwise, the record
+ * meta-info property with the role specified in its definition is looked up.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record type
+ * descriptor.
+ * @param {string} role Meta-info property role, such as "version" or
+ * "modificationTimestamp".
+ * @returns {string} The property name, or <code>undefined</code> if the record
+ * type does not have such meta-info property.
  */
-function build(recordTypes, recordTypeName, patch) {
+function getMetaInfoPropName(recordTypeDesc, role) {
 
-	// get the record type descriptor
-	if (!recordTypes.hasRecordType(recordTypeName))
-		throw new common.X2UsageError(
-			`Unknown record type ${recordTypeName}.`);
-	const recordTypeDesc = recordTypes.getRecordTypeDesc(recordTypeName);
+	if ((typeof recordTypeDesc.getRecordMetaInfoPropName) === 'function')
+		return (recordTypeDesc.getRecordMetaInfoPropName(role) || undefined);
 
-	// make sure the patch spec is an array
-	if (!Array.isArray(patch))
-		throw new common.X2SyntaxError('Patch specification is not an array.');
+	return recordTypeDesc.allPropertyNames.find(propName => {
+		const propDesc = recordTypeDesc.getPropertyDesc(propName);
+		return (
+			propDesc.isRecordMetaInfo() && (propDesc.definition.role === role));
+	});
+}
 
-	// process patch operations
-	const involvedPropPaths = new Set();
-	const updatedPropPaths = new Set();
-	const patchOps = patch.map((patchOpDef, opInd) => parsePatchOperation(
-		recordTypes, recordTypeDesc, patchOpDef, opInd,
-		involvedPropPaths, updatedPropPaths));
+/**
+ * Tell if the patch operation definition is an equality "test" operation of the
+ * record version meta-info property.
+ *
+ * @private
+ * @param {Object} opDef Patch operation definition. Assumed to be valid.
+ * @param {string} versionPropName Name of the version meta-info property.
+ * @returns {boolean} <code>true</code> if version test.
+ */
+function isVersionTest(opDef, versionPropName) {
 
-	// return the patch object
-	return new RecordPatch(patchOps, involvedPropPaths, updatedPropPaths);
+	return (
+		(opDef.op === 'test') && (opDef.path === `/${versionPropName}`) &&
+			((opDef.predicate === undefined) || (opDef.predicate === 'equals'))
+	);
 }
 
 /**
@@ -634,40 +2396,62 @@ function build(recordTypes, recordTypeName, patch) {
  * @param {string} recordTypeName Name of the record type, against records of
  * which the patch will be applied.
  * @param {Object} mergePatch RFC 7396 merge patch specification.
+ * @param {Object} [options] Build options, same as for the
+ * [build()]{@link module:x2node-patches.build} function.
  * @returns {module:x2node-patches~RecordPatch} The patch object that can be used
  * to apply the patch to records.
  * @throws {module:x2node-common.X2UsageError} If the provided record type name
- * is invalid.
+ * is invalid, or the build options are invalid.
  * @throws {module:x2node-common.X2SyntaxError} If the provided patch
  * specification is invalid.
  */
-function buildMerge(recordTypes, recordTypeName, mergePatch) {
+function buildMerge(recordTypes, recordTypeName, mergePatch, options) {
 
 	// only object merge patches are supported
 	if (((typeof mergePatch) !== 'object') || (mergePatch === null))
-		throw new common.X2SyntaxError('Merge patch must be an object.');
+		throw patchSyntaxError(
+			'PATCH_INVALID_MERGE_PATCH', 'Merge patch must be an object.');
 
 	// build JSON patch
 	const jsonPatch = new Array();
-	buildMergeLevel('', mergePatch, jsonPatch);
+	buildMergeLevel(
+		recordTypes.getRecordTypeDesc(recordTypeName), '', mergePatch,
+		jsonPatch);
 
 	// build and return the record patch
-	return build(recordTypes, recordTypeName, jsonPatch);
+	return build(recordTypes, recordTypeName, jsonPatch, options);
 }
 
+/**
+ * Names of the value array directives allowed in Merge patches.
+ *
+ * @private
+ * @constant {Array.<string>}
+ */
+const VALUE_ARRAY_DIRECTIVES = [ 'remove-value', 'add-unique' ];
+
 /**
  * Recusrively build JSON patch from Merge patch's nesting level.
  *
  * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record type
+ * descriptor.
  * @param {string} basePtr Base JSON pointer for the nesting level.
  * @param {Object} levelMergePatch Nested Merge patch for the level.
  * @param {Array.<Object>} jsonPatch Resulting JSON patch specification array.
+ * @returns {Object} Value for the level to add if it does not exist, which is
+ * the level's Merge patch with the value array directives replaced with the
+ * arrays of the added values.
+ * @throws {module:x2node-common.X2SyntaxError} If the Merge patch contains an
+ * invalid value array directive.
  */
-function buildMergeLevel(basePtr, levelMergePatch, jsonPatch) {
+function buildMergeLevel(recordTypeDesc, basePtr, levelMergePatch, jsonPatch) {
 
+	const levelValue = {};
 	for (let propName in levelMergePatch) {
 		const mergeVal = levelMergePatch[propName];
 		const path = basePtr + '/' + propName;
+		levelValue[propName] = mergeVal;
 		if (mergeVal === null) {
 			jsonPatch.push({
 				op: 'remove',
@@ -679,13 +2463,17 @@ function buildMergeLevel(basePtr, levelMergePatch, jsonPatch) {
 				path: path,
 				value: mergeVal
 			});
+		} else if (((typeof mergeVal) === 'object') &&
+			isValueArrayPath(recordTypeDesc, path)) {
+			levelValue[propName] = buildValueArrayDirective(
+				path, mergeVal, jsonPatch);
 		} else if ((typeof mergeVal) === 'object') {
 			const nestedPatch = new Array();
-			buildMergeLevel(path, mergeVal, nestedPatch);
 			jsonPatch.push({
 				op: 'merge',
 				path: path,
-				value: mergeVal,
+				value: buildMergeLevel(
+					recordTypeDesc, path, mergeVal, nestedPatch),
 				patch: nestedPatch
 			});
 		} else {
@@ -696,6 +2484,76 @@ function buildMergeLevel(basePtr, levelMergePatch, jsonPatch) {
 			});
 		}
 	}
+
+	return levelValue;
+}
+
+/**
+ * Tell if the pointer points at a whole simple value array property.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record type
+ * descriptor.
+ * @param {string} path The pointer.
+ * @returns {boolean} <code>true</code> if simple value array property,
+ * <code>false</code> if not or if the pointer is invalid.
+ */
+function isValueArrayPath(recordTypeDesc, path) {
+
+	let ptr;
+	try {
+		ptr = selectorPointer.parse(recordTypeDesc, path);
+	} catch (err) {
+		if (err instanceof common.X2SyntaxError)
+			return false;
+		throw err;
+	}
+
+	return (
+		!ptr.collectionElement && ptr.propDesc.isArray() &&
+			(ptr.propDesc.scalarValueType !== 'object')
+	);
+}
+
+/**
+ * Build JSON patch operations for a value array directive in a Merge patch. A
+ * directive is an object with optional "remove-value" and "add-unique"
+ * properties, each of which is a single value or an array of values.
+ *
+ * @private
+ * @param {string} path Pointer of the simple value array property.
+ * @param {Object} directive The directive.
+ * @param {Array.<Object>} jsonPatch Resulting JSON patch specification array.
+ * @returns {Array} Array of the added values to use if the array's parent
+ * object does not exist.
+ * @throws {module:x2node-common.X2SyntaxError} If the directive is invalid.
+ */
+function buildValueArrayDirective(path, directive, jsonPatch) {
+
+	for (let key of Object.keys(directive))
+		if (!VALUE_ARRAY_DIRECTIVES.includes(key))
+			throw patchSyntaxError(
+				'PATCH_INVALID_DIRECTIVE',
+				`Invalid value array directive "${key}" in Merge patch at` +
+					` ${path}.`, path);
+
+	const added = new Array();
+	for (let opType of VALUE_ARRAY_DIRECTIVES) {
+		const val = directive[opType];
+		if (val === undefined)
+			continue;
+		for (let v of (Array.isArray(val) ? val : [ val ])) {
+			jsonPatch.push({
+				op: opType,
+				path: path,
+				value: v
+			});
+			if ((opType === 'add-unique') && !added.includes(v))
+				added.push(v);
+		}
+	}
+
+	return added;
 }
 
 /**
@@ -710,6 +2568,71 @@ const PTRUSE = {
 	ERASE: Symbol('ERASE')
 };
 
+/**
+ * Create error for an invalid patch specification.
+ *
+ * @private
+ * @param {string} code Stable error code.
+ * @param {string} message Error message.
+ * @param {(module:x2node-pointers~RecordElementPointer|string)} [ptr] The
+ * offending pointer, if known.
+ * @param {string} [expectedType] The expected value type, if the error is
+ * about an invalid value type.
+ * @returns {module:x2node-common.X2SyntaxError} The error with
+ * <code>code</code> property and, if provided, <code>pointer</code>,
+ * <code>propPath</code> and <code>expectedType</code> properties.
+ */
+function patchSyntaxError(code, message, ptr, expectedType) {
+
+	return decorateError(
+		new common.X2SyntaxError(message), code, ptr, expectedType);
+}
+
+/**
+ * Create error for a record, to which a patch cannot be applied.
+ *
+ * @private
+ * @param {string} code Stable error code.
+ * @param {string} message Error message.
+ * @param {module:x2node-pointers~RecordElementPointer} ptr The location in the
+ * record.
+ * @param {string} [expectedType] The expected value type at the location, if
+ * the error is about an invalid value type.
+ * @returns {module:x2node-common.X2DataError} The error with <code>code</code>,
+ * <code>pointer</code>, <code>propPath</code> and, if provided,
+ * <code>expectedType</code> properties.
+ */
+function patchDataError(code, message, ptr, expectedType) {
+
+	return decorateError(
+		new common.X2DataError(message), code, ptr, expectedType);
+}
+
+/**
+ * Add error code and the related information to the error object.
+ *
+ * @private
+ * @param {Error} err The error.
+ * @param {string} code Stable error code.
+ * @param {(module:x2node-pointers~RecordElementPointer|string)} [ptr] The
+ * offending pointer, if known.
+ * @param {string} [expectedType] The expected value type, if known.
+ * @returns {Error} The error passed in as <code>err</code>.
+ */
+function decorateError(err, code, ptr, expectedType) {
+
+	err.code = code;
+	if (ptr !== undefined) {
+		err.pointer = String(ptr);
+		if ((typeof ptr) !== 'string')
+			err.propPath = ptr.propPath;
+	}
+	if (expectedType !== undefined)
+		err.expectedType = expectedType;
+
+	return err;
+}
+
 /**
  * Parse patch operation.
  *
@@ -720,53 +2643,68 @@ const PTRUSE = {
  * descriptor.
  * @param {Object} patchOpDef Patch operation definition.
  * @param {number} opInd Index of the patch operation in the patch operations
- * list.
+ * list. For an operation nested in a "merge" operation, index of the "merge"
+ * operation.
  * @param {Set.<string>} involvedPropPaths Involved property paths collection.
  * @param {Set.<string>} updatedPropPaths Updated property paths collection.
+ * @param {Object.<string,(function|Array.<function>)>} [valueValidators]
+ * Custom value validators by property paths, if any.
  * @returns {module:x2node-patches~RecordPatchOperation} Parsed operation object.
  * @throws {module:x2node-common.X2SyntaxError} If the operation is invalid.
  */
 function parsePatchOperation(
 	recordTypes, recordTypeDesc, patchOpDef, opInd,
-	involvedPropPaths, updatedPropPaths) {
-
-	const invalidOp = msg => new common.X2SyntaxError(
-		`Invalid patch operation #${opInd + 1}: ${msg}`);
+	involvedPropPaths, updatedPropPaths, valueValidators) {
+
+	const invalidOp = (code, msg, ptr) => patchSyntaxError(
+		code, `Invalid patch operation #${opInd + 1}: ${msg}`, ptr);
+	const insertionPtr = ptr => {
+		if ((ptr instanceof selectorPointer.IdSelectorPointer) &&
+			ptr.isSelectedElement())
+			throw invalidOp(
+				'PATCH_INVALID_TARGET',
+				'id selector may not be used as the target.', ptr);
+		return ptr;
+	};
 
 	// operation definition must be an object
 	if (((typeof patchOpDef) !== 'object') || (patchOpDef === null))
-		throw invalidOp('operation specification is not an object.');
+		throw invalidOp(
+			'PATCH_INVALID_OPERATION',
+			'operation specification is not an object.');
 
 	// validate the op
 	if ((typeof patchOpDef.op) !== 'string')
-		throw invalidOp('op is missing or is not a string.');
+		throw invalidOp(
+			'PATCH_INVALID_OPERATION', 'op is missing or is not a string.');
 
 	// process the operation
-	let pathPtr;
+	let pathPtr, predicate;
 	switch (patchOpDef.op) {
 	case 'add':
-		pathPtr = resolvePropPointer(
-			recordTypeDesc, patchOpDef.path, false, PTRUSE.SET);
+		pathPtr = insertionPtr(resolvePropPointer(
+			recordTypeDesc, patchOpDef.path, false, PTRUSE.SET));
 		return new AddRecordPatchOperation(
 			addInvolvedProperty(pathPtr, involvedPropPaths, updatedPropPaths),
 			validatePatchOperationValue(
 				recordTypes, patchOpDef.op, opInd, pathPtr, patchOpDef.value,
-				true)
+				true, undefined, valueValidators)
 		);
 	case 'merge':
 		pathPtr = resolvePropPointer(
 			recordTypeDesc, patchOpDef.path, true, PTRUSE.SET);
 		if (!Array.isArray(patchOpDef.patch))
-			throw invalidOp('patch is not an array.');
+			throw invalidOp(
+				'PATCH_INVALID_OPERATION', 'patch is not an array.', pathPtr);
 		return new MergeRecordPatchOperation(
 			addInvolvedProperty(pathPtr, involvedPropPaths, updatedPropPaths),
 			validatePatchOperationValue(
 				recordTypes, patchOpDef.op, opInd, pathPtr, patchOpDef.value,
-				true),
+				true, undefined, valueValidators),
 			patchOpDef.patch.map(
-				(mergePatchOpDef, mergeOpInd) => parsePatchOperation(
-					recordTypes, recordTypeDesc, mergePatchOpDef, mergeOpInd,
-					involvedPropPaths, updatedPropPaths))
+				mergePatchOpDef => parsePatchOperation(
+					recordTypes, recordTypeDesc, mergePatchOpDef, opInd,
+					involvedPropPaths, updatedPropPaths, valueValidators))
 		);
 	case 'remove':
 		pathPtr = resolvePropPointer(
@@ -781,11 +2719,11 @@ function parsePatchOperation(
 			addInvolvedProperty(pathPtr, involvedPropPaths, updatedPropPaths),
 			validatePatchOperationValue(
 				recordTypes, patchOpDef.op, opInd, pathPtr, patchOpDef.value,
-				true)
+				true, undefined, valueValidators)
 		);
 	case 'move':
-		pathPtr = resolvePropPointer(
-			recordTypeDesc, patchOpDef.path, false, PTRUSE.SET);
+		pathPtr = insertionPtr(resolvePropPointer(
+			recordTypeDesc, patchOpDef.path, false, PTRUSE.SET));
 		return new MoveRecordPatchOperation(
 			addInvolvedProperty(pathPtr, involvedPropPaths, updatedPropPaths),
 			addInvolvedProperty(
@@ -796,8 +2734,8 @@ function parsePatchOperation(
 				involvedPropPaths, updatedPropPaths)
 		);
 	case 'copy':
-		pathPtr = resolvePropPointer(
-			recordTypeDesc, patchOpDef.path, false, PTRUSE.SET);
+		pathPtr = insertionPtr(resolvePropPointer(
+			recordTypeDesc, patchOpDef.path, false, PTRUSE.SET));
 		return new CopyRecordPatchOperation(
 			addInvolvedProperty(pathPtr, involvedPropPaths, updatedPropPaths),
 			addInvolvedProperty(
@@ -807,17 +2745,49 @@ function parsePatchOperation(
 					false),
 				involvedPropPaths)
 		);
+	case 'remove-value':
+	case 'add-unique':
+		pathPtr = resolvePropPointer(
+			recordTypeDesc, patchOpDef.path, true, PTRUSE.SET);
+		return new (
+			patchOpDef.op === 'add-unique' ?
+				AddUniqueRecordPatchOperation :
+				RemoveValueRecordPatchOperation
+		)(
+			addInvolvedProperty(pathPtr, involvedPropPaths, updatedPropPaths),
+			validatePatchOperationValue(
+				recordTypes, patchOpDef.op, opInd, pathPtr, patchOpDef.value,
+				(patchOpDef.op === 'add-unique'), undefined, valueValidators)
+		);
+	case 'increment':
+		pathPtr = resolvePropPointer(
+			recordTypeDesc, patchOpDef.path, true, PTRUSE.SET);
+		return new IncrementRecordPatchOperation(
+			addInvolvedProperty(pathPtr, involvedPropPaths, updatedPropPaths),
+			validatePatchOperationBy(patchOpDef.op, opInd, pathPtr, patchOpDef.by)
+		);
 	case 'test':
 		pathPtr = resolvePropPointer(
 			recordTypeDesc, patchOpDef.path, true, PTRUSE.READ);
+		predicate = (
+			patchOpDef.predicate === undefined ? 'equals' : patchOpDef.predicate);
+		if (!Object.prototype.hasOwnProperty.call(TEST_PREDICATES, predicate))
+			throw invalidOp(
+				'PATCH_UNKNOWN_PREDICATE',
+				`unknown test predicate "${predicate}".`, pathPtr);
+		validatePatchOperationValue(
+			recordTypes, patchOpDef.op, opInd, pathPtr, patchOpDef.value,
+			false, predicate);
 		return new TestRecordPatchOperation(
 			addInvolvedProperty(pathPtr, involvedPropPaths),
-			validatePatchOperationValue(
-				recordTypes, patchOpDef.op, opInd, pathPtr, patchOpDef.value,
-				false)
+			predicate,
+			patchOpDef.value,
+			(predicate === 'pattern' ?
+				compilePattern(opInd, pathPtr, patchOpDef.value) : undefined)
 		);
 	default:
-		throw new common.X2SyntaxError(
+		throw patchSyntaxError(
+			'PATCH_UNKNOWN_OPERATION',
 			`Invalid patch operation: unknown operation "${patchOpDef.op}".`);
 	}
 }
@@ -838,30 +2808,128 @@ function parsePatchOperation(
 function resolvePropPointer(recordTypeDesc, propPointer, noDash, ptrUse) {
 
 	// parse the pointer
-	const ptr = pointers.parse(recordTypeDesc, propPointer, noDash);
+	let ptr;
+	try {
+		ptr = selectorPointer.parse(recordTypeDesc, propPointer, noDash);
+	} catch (err) {
+		if (err instanceof common.X2SyntaxError)
+			throw patchSyntaxError(
+				'PATCH_INVALID_POINTER', err.message,
+				((typeof propPointer) === 'string' ? propPointer : undefined));
+		throw err;
+	}
 
 	// check if top pointer
 	if (ptr.isRoot())
-		throw new common.X2SyntaxError(
+		throw patchSyntaxError(
+			'PATCH_WHOLE_RECORD',
 			'Patch operations involving top records as a whole are not' +
-				' allowed.');
+				' allowed.', ptr);
 
 	// check the use
 	if (ptrUse === PTRUSE.SET) {
 		if (!ptr.propDesc.modifiable)
-			throw new common.X2SyntaxError(
-				`May not update non-modifiable property ${ptr.propPath}.`);
+			throw patchSyntaxError(
+				'PATCH_NON_MODIFIABLE',
+				`May not update non-modifiable property ${ptr.propPath}.`, ptr);
 	} else if (ptrUse === PTRUSE.ERASE) {
 		if ((ptr.propDesc.isScalar() || !ptr.collectionElement) &&
 			!ptr.propDesc.optional)
-			throw new common.X2SyntaxError(
-				`May not remove a required property ${ptr.propPath}.`);
+			throw patchSyntaxError(
+				'PATCH_REQUIRED_REMOVAL',
+				`May not remove a required property ${ptr.propPath}.`, ptr);
 	}
 
 	// return the resolved pointer
 	return ptr;
 }
 
+/**
+ * Maximum length of the regular expression used with the "pattern" test
+ * predicate.
+ *
+ * @private
+ * @constant {number}
+ */
+const MAX_PATTERN_LENGTH = 256;
+
+/**
+ * Tell if the regular expression contains a quantified group that itself
+ * contains a quantifier or an alternation, such as <code>(a+)+</code> or
+ * <code>(a|a)*</code>. Such expressions may take exponential time to evaluate
+ * against a crafted string.
+ *
+ * @private
+ * @param {string} pattern The regular expression source.
+ * @returns {boolean} <code>true</code> if such group is found.
+ */
+function hasAmbiguousRepetition(pattern) {
+
+	const groups = new Array();
+	const len = pattern.length;
+	for (let i = 0; i < len; i++) {
+		switch (pattern[i]) {
+		case '\\':
+			i++;
+			break;
+		case '[':
+			for (i++; (i < len) && (pattern[i] !== ']'); i++)
+				if (pattern[i] === '\\')
+					i++;
+			break;
+		case '(':
+			groups.push(false);
+			break;
+		case ')':
+			if (groups.length > 0) {
+				const next = pattern[i + 1];
+				const quantified = (
+					(next === '*') || (next === '+') || (next === '{'));
+				const ambiguous = groups.pop();
+				if (quantified && ambiguous)
+					return true;
+				if ((quantified || ambiguous) && (groups.length > 0))
+					groups[groups.length - 1] = true;
+			}
+			break;
+		case '*':
+		case '+':
+		case '{':
+		case '|':
+			if (groups.length > 0)
+				groups[groups.length - 1] = true;
+		}
+	}
+
+	return false;
+}
+
+/**
+ * Compile regular expression provided with a "test" operation with the
+ * "pattern" predicate.
+ *
+ * @private
+ * @param {number} opInd Index of the patch operation in the list of operations.
+ * @param {module:x2node-pointers~RecordElementPointer} pathPtr The operation
+ * path pointer.
+ * @param {string} pattern The regular expression source. Assumed to be
+ * validated.
+ * @returns {RegExp} The compiled regular expression.
+ * @throws {module:x2node-common.X2SyntaxError} If the regular expression is
+ * invalid.
+ */
+function compilePattern(opInd, pathPtr, pattern) {
+
+	try {
+		return new RegExp(pattern);
+	} catch (err) {
+		throw patchSyntaxError(
+			'PATCH_INVALID_VALUE',
+			`Invalid value in patch operation #${opInd + 1} (test): invalid` +
+				' regular expression.', pathPtr);
+	}
+}
+
 /**
  * Validate value provided with a patch operation.
  *
@@ -873,27 +2941,137 @@ function resolvePropPointer(recordTypeDesc, propPointer, noDash, ptrUse) {
  * @param {module:x2node-pointers~RecordElementPointer} pathPtr Information
  * object for the property path where the value is supposed to belong.
  * @param {*} val The value to test. Can be <code>null</code>, but not
- * <code>undefined</code>.
+ * <code>undefined</code> (unless the test predicate does not use a value).
  * @param {boolean} forUpdate <code>true</code> if the value is intended as a new
  * value for the property, or <code>false</code> if only used to test the current
  * property value.
+ * @param {string} [predicate] For a "test" operation, the test predicate.
+ * @param {Object.<string,(function|Array.<function>)>} [valueValidators]
+ * Custom value validators by property paths, if any. Custom validators are
+ * called only for values intended as new property values.
  * @returns {*} The value passed in as <code>val</code>.
  * @throws {module:x2node-common.X2SyntaxError} If the value is invalid.
  */
 function validatePatchOperationValue(
-	recordTypes, opType, opInd, pathPtr, val, forUpdate) {
+	recordTypes, opType, opInd, pathPtr, val, forUpdate, predicate,
+	valueValidators) {
 
 	// error function
-	const validate = errMsg => {
+	const validate = (code, errMsg, expectedType) => {
 		if (errMsg)
-			throw new common.X2SyntaxError(
+			throw patchSyntaxError(
+				code,
 				`Invalid value in patch operation #${opInd + 1} (${opType}):` +
-					` ${errMsg}`);
+					` ${errMsg}`, pathPtr, expectedType);
+	};
+
+	// custom validators function
+	const validateCustom = elVal => {
+		if (!forUpdate)
+			return;
+		const invalid = isInvalidCustomValue(
+			valueValidators, elVal, pathPtr.propDesc);
+		if (invalid)
+			validate(invalid.code, invalid.message);
 	};
 
+	// test predicates other than equality are special cases
+	if (predicate && (predicate !== 'equals')) {
+		const propDesc = pathPtr.propDesc;
+		const single = (propDesc.isScalar() || pathPtr.collectionElement);
+		if ((val === undefined) &&
+			(predicate !== 'exists') && (predicate !== 'absent'))
+			validate(
+				'PATCH_NO_VALUE', 'no value is provided for the operation.');
+		switch (predicate) {
+		case 'exists':
+		case 'absent':
+			if (val !== undefined)
+				validate(
+					'PATCH_UNEXPECTED_VALUE',
+					`no value is expected for "${predicate}" predicate.`);
+			break;
+		case 'type':
+			if (!single || !propDesc.isPolymorphObject())
+				validate(
+					'PATCH_INVALID_TARGET',
+					'"type" predicate target must be a polymorphic nested' +
+						' object.');
+			if (!propDesc.nestedProperties.subtypes.includes(val))
+				validate(
+					'PATCH_INVALID_VALUE',
+					'expected a nested object subtype name.');
+			break;
+		case 'lt':
+		case 'lte':
+		case 'gt':
+		case 'gte':
+			if (!single || (propDesc.scalarValueType !== 'number'))
+				validate(
+					'PATCH_INVALID_TARGET',
+					`"${predicate}" predicate target must be a number.`);
+			if (((typeof val) !== 'number') || !Number.isFinite(val))
+				validate(
+					'PATCH_INVALID_VALUE_TYPE', 'expected a finite number.',
+					'number');
+			break;
+		case 'pattern':
+			if (!single || (propDesc.scalarValueType !== 'string'))
+				validate(
+					'PATCH_INVALID_TARGET',
+					'"pattern" predicate target must be a string.');
+			if ((typeof val) !== 'string')
+				validate(
+					'PATCH_INVALID_VALUE_TYPE',
+					'expected a regular expression string.', 'string');
+			if (val.length > MAX_PATTERN_LENGTH)
+				validate(
+					'PATCH_INVALID_VALUE',
+					'regular expression is longer than ' +
+						`${MAX_PATTERN_LENGTH} characters.`);
+			if (hasAmbiguousRepetition(val))
+				validate(
+					'PATCH_INVALID_VALUE',
+					'regular expression contains a quantified group with' +
+						' nested quantifiers or alternatives.');
+			break;
+		case 'in':
+			if (!Array.isArray(val) || (val.length === 0))
+				validate(
+					'PATCH_INVALID_VALUE',
+					'expected a non-empty array of values.');
+			val.forEach(v => validatePatchOperationValue(
+				recordTypes, opType, opInd, pathPtr, v, false));
+			break;
+		case 'contains':
+			if (single)
+				validate(
+					'PATCH_INVALID_TARGET',
+					'"contains" predicate target must be an array or a map.');
+			if ((val === null) && (propDesc.scalarValueType === 'object'))
+				validate(
+					'PATCH_INVALID_NULL',
+					'null for nested object collection element.');
+			if (val !== null)
+				validate('PATCH_INVALID_VALUE_TYPE', isInvalidScalarValueType(
+					recordTypes, val, propDesc, false),
+					propDesc.scalarValueType);
+			break;
+		case 'size':
+			if (single)
+				validate(
+					'PATCH_INVALID_TARGET',
+					'"size" predicate target must be an array or a map.');
+			if (!Number.isInteger(val) || (val < 0))
+				validate(
+					'PATCH_INVALID_VALUE', 'expected a non-negative integer.');
+		}
+		return val;
+	}
+
 	// check if we have the value
 	if (val === undefined)
-		validate('no value is provided for the operation.');
+		validate('PATCH_NO_VALUE', 'no value is provided for the operation.');
 
 	// get target property descriptor
 	const propDesc = pathPtr.propDesc;
@@ -903,13 +3081,38 @@ function validatePatchOperationValue(
 
 		// value must be an object
 		if (((typeof val) !== 'object') || (val === null))
-			validate('merge value must be a non-null object.');
+			validate(
+				'PATCH_INVALID_VALUE_TYPE',
+				'merge value must be a non-null object.', 'object');
 
 		// target must be a single object or a whole map
 		if (!(propDesc.isMap() && !pathPtr.collectionElement) &&
 			!((propDesc.scalarValueType === 'object') && (
 				propDesc.isScalar() || pathPtr.collectionElement)))
-			validate('invalid merge target record element type.');
+			validate(
+				'PATCH_INVALID_TARGET',
+				'invalid merge target record element type.');
+
+		// valid value, return it
+		return val;
+	}
+
+	// value array operations are special cases
+	if ((opType === 'remove-value') || (opType === 'add-unique')) {
+
+		// target must be a whole simple value array
+		if (!propDesc.isArray() || pathPtr.collectionElement ||
+			(propDesc.scalarValueType === 'object'))
+			validate(
+				'PATCH_INVALID_TARGET',
+				'target must be a simple value array property.');
+
+		// validate the value as an array element
+		if (val !== null)
+			validate('PATCH_INVALID_VALUE_TYPE', isInvalidScalarValueType(
+				recordTypes, val, propDesc, forUpdate),
+				propDesc.scalarValueType);
+		validateCustom(val);
 
 		// valid value, return it
 		return val;
@@ -919,35 +3122,46 @@ function validatePatchOperationValue(
 	if (val === null) {
 		if ((propDesc.isScalar() || !pathPtr.collectionElement) &&
 			!propDesc.optional)
-			validate('null for required property.');
+			validate('PATCH_INVALID_NULL', 'null for required property.');
 		if (pathPtr.collectionElement && (propDesc.scalarValueType === 'object'))
-			validate('null for nested object collection element.');
+			validate(
+				'PATCH_INVALID_NULL',
+				'null for nested object collection element.');
 		return val; // valid
 	}
 
 	// validate depending on the property type
 	if (propDesc.isArray() && !pathPtr.collectionElement) {
 		if (!Array.isArray(val))
-			validate('expected an array.');
+			validate('PATCH_INVALID_VALUE_TYPE', 'expected an array.', 'array');
 		if (!propDesc.optional && (val.length === 0))
-			validate('empty array for required property.');
+			validate(
+				'PATCH_EMPTY_REQUIRED', 'empty array for required property.');
 		val.forEach(v => {
-			validate(isInvalidScalarValueType(
-				recordTypes, v, propDesc, forUpdate));
+			validate('PATCH_INVALID_VALUE_TYPE', isInvalidScalarValueType(
+				recordTypes, v, propDesc, forUpdate),
+				propDesc.scalarValueType);
+			validateCustom(v);
 		});
 	} else if (propDesc.isMap() && !pathPtr.collectionElement) {
 		if ((typeof val) !== 'object')
-			validate('expected an object.');
+			validate(
+				'PATCH_INVALID_VALUE_TYPE', 'expected an object.', 'object');
 		const keys = Object.keys(val);
 		if (!propDesc.optional && (keys.length === 0))
-			validate('empty object for required property.');
+			validate(
+				'PATCH_EMPTY_REQUIRED', 'empty object for required property.');
 		keys.forEach(k => {
-			validate(isInvalidScalarValueType(
-				recordTypes, val[k], propDesc, forUpdate));
+			validate('PATCH_INVALID_VALUE_TYPE', isInvalidScalarValueType(
+				recordTypes, val[k], propDesc, forUpdate),
+				propDesc.scalarValueType);
+			validateCustom(val[k]);
 		});
 	} else {
-		validate(isInvalidScalarValueType(
-			recordTypes, val, propDesc, forUpdate));
+		validate('PATCH_INVALID_VALUE_TYPE', isInvalidScalarValueType(
+			recordTypes, val, propDesc, forUpdate),
+			propDesc.scalarValueType);
+		validateCustom(val);
 	}
 
 	// the value is valid, return it
@@ -1102,6 +3316,332 @@ function isValidObjectValue(recordTypes, val, objectPropDesc, forUpdate) {
 	return true;
 }
 
+/**
+ * Custom value validator function. Custom validators can be provided with the
+ * build options keyed by property paths, or with the property definitions
+ * using <code>valueValidators</code> attribute. For array and map properties,
+ * the validators are called for each element.
+ *
+ * @callback module:x2node-patches.ValueValidator
+ * @param {*} value The value to validate. Never <code>null</code> nor
+ * <code>undefined</code>. The value is already checked to match the property
+ * type.
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Descriptor of
+ * the property, for which the value is intended.
+ * @returns {(string|Object)} Nothing if the value is valid. Otherwise, either
+ * the error message, or an object with <code>code</code> and
+ * <code>message</code> properties to use a custom error code instead of the
+ * default "PATCH_INVALID_VALUE".
+ */
+
+/**
+ * Get custom validators for the property.
+ *
+ * @private
+ * @param {Object.<string,(function|Array.<function>)>} [valueValidators]
+ * Custom value validators by property paths, if any.
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @returns {Array.<module:x2node-patches.ValueValidator>} The validators,
+ * those from the property definition first. May be empty.
+ * @throws {module:x2node-common.X2UsageError} If a validator is not a
+ * function.
+ */
+function getValueValidators(valueValidators, propDesc) {
+
+	const propPath = propDesc.container.nestedPath + propDesc.name;
+	const validators = [].concat(
+		(propDesc.definition.valueValidators || []),
+		(valueValidators && valueValidators[propPath]) || []);
+	if (validators.some(validator => ((typeof validator) !== 'function')))
+		throw new common.X2UsageError(
+			`Invalid value validator for property ${propPath}.`);
+
+	return validators;
+}
+
+/**
+ * Check value against the custom validators. Nested object values are checked
+ * recursively.
+ *
+ * @private
+ * @param {Object.<string,(function|Array.<function>)>} [valueValidators]
+ * Custom value validators by property paths, if any.
+ * @param {*} val The value. Assumed to match the property type.
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Descriptor of the
+ * property, for which the value is intended (for a collection property, the
+ * value is a collection element).
+ * @returns {?Object} Object with <code>code</code> and <code>message</code>
+ * properties if invalid, or <code>null</code> if valid.
+ * @throws {module:x2node-common.X2UsageError} If a validator is not a
+ * function.
+ */
+function isInvalidCustomValue(valueValidators, val, propDesc) {
+
+	// nothing to validate if no value
+	if ((val === undefined) || (val === null))
+		return null;
+
+	// call the property validators
+	for (let validator of getValueValidators(valueValidators, propDesc)) {
+		const invalid = validator(val, propDesc);
+		if (invalid)
+			return ((typeof invalid) === 'string' ? {
+				code: 'PATCH_INVALID_VALUE',
+				message: invalid
+			} : invalid);
+	}
+
+	// check nested object properties
+	if (propDesc.scalarValueType === 'object') {
+		const containers = [ propDesc.nestedProperties ];
+		if (propDesc.isPolymorphObject()) {
+			const subtype = val[containers[0].typePropertyName];
+			if (containers[0].subtypes.includes(subtype))
+				containers.push(
+					containers[0].getPropertyDesc(subtype).nestedProperties);
+		}
+		for (let container of containers) {
+			for (let propName of container.allPropertyNames) {
+				const nestedPropDesc = container.getPropertyDesc(propName);
+				const nestedVal = val[propName];
+				if (nestedPropDesc.isView() || nestedPropDesc.isCalculated() ||
+					nestedPropDesc.isSubtype() ||
+					(nestedVal === undefined) || (nestedVal === null))
+					continue;
+				const elements = (
+					nestedPropDesc.isArray() ? nestedVal : (
+						nestedPropDesc.isMap() ?
+							Object.keys(nestedVal).map(k => nestedVal[k]) :
+							[ nestedVal ]));
+				for (let element of elements) {
+					const invalid = isInvalidCustomValue(
+						valueValidators, element, nestedPropDesc);
+					if (invalid)
+						return invalid;
+				}
+			}
+		}
+	}
+
+	// valid
+	return null;
+}
+
+/**
+ * Violation of the record type definition found in a patched record.
+ *
+ * @typedef {Object} module:x2node-patches~RecordViolation
+ * @property {string} pointer JSON pointer of the invalid location.
+ * @property {string} propPath Path (in dot notation) of the property at the
+ * invalid location.
+ * @property {string} code Violation code: "PATCH_MISSING_REQUIRED",
+ * "PATCH_EMPTY_REQUIRED", "PATCH_INVALID_NULL", "PATCH_INVALID_VALUE_TYPE" or
+ * "PATCH_INVALID_SUBTYPE".
+ * @property {string} message Human-readable violation description.
+ * @property {string} [expectedType] For an invalid value type, the expected
+ * type.
+ * @property {number} [opIndex] Index of the last operation in the patch
+ * specification that changed the location, its parent or any of its children.
+ * Not present if the location was not changed by the patch or was changed by
+ * an automatically added operation.
+ */
+
+/**
+ * Validate record against its record type definition.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record type
+ * descriptor.
+ * @param {Object} record The record.
+ * @returns {Array.<module:x2node-patches~RecordViolation>} Found violations
+ * (without <code>opIndex</code>). Empty array if the record is valid.
+ */
+function validateRecord(recordTypes, recordTypeDesc, record) {
+
+	const violations = new Array();
+	validateObject(recordTypes, recordTypeDesc, '/', record, violations);
+
+	return violations;
+}
+
+/**
+ * Recursively validate object against the container that describes it.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {module:x2node-records~PropertiesContainer} container The container
+ * that describes the object (record or nested object property).
+ * @param {string} pathPrefix Prefix to add to contained property names to form
+ * corresponding JSON pointers.
+ * @param {Object} obj The object.
+ * @param {Array.<module:x2node-patches~RecordViolation>} violations List, to
+ * which to add found violations.
+ */
+function validateObject(recordTypes, container, pathPrefix, obj, violations) {
+
+	// validate the properties
+	for (let propName of container.allPropertyNames) {
+		const propDesc = container.getPropertyDesc(propName);
+		if (propDesc.isView() || propDesc.isCalculated() || propDesc.isSubtype())
+			continue;
+		validatePropertyValue(
+			recordTypes, propDesc, `${pathPrefix}${propName}`, obj[propName],
+			violations);
+	}
+
+	// validate the subtype properties if polymorphic object
+	if (container.isPolymorphObject()) {
+		const subtype = obj[container.typePropertyName];
+		if (!container.subtypes.includes(subtype)) {
+			violations.push({
+				pointer: `${pathPrefix}${container.typePropertyName}`,
+				propPath: container.nestedPath + container.typePropertyName,
+				code: 'PATCH_INVALID_SUBTYPE',
+				message: 'Invalid polymorphic object type at' +
+					` ${pathPrefix}${container.typePropertyName}.`
+			});
+		} else {
+			validateObject(
+				recordTypes, container.getPropertyDesc(subtype).nestedProperties,
+				`${pathPrefix}${subtype}:`, obj, violations);
+		}
+	}
+}
+
+/**
+ * Validate property value.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypesLibrary} recordTypes Record types
+ * library.
+ * @param {module:x2node-records~PropertyDescriptor} propDesc Property
+ * descriptor.
+ * @param {string} ptr JSON pointer of the property.
+ * @param {*} val The property value.
+ * @param {Array.<module:x2node-patches~RecordViolation>} violations List, to
+ * which to add found violations.
+ */
+function validatePropertyValue(recordTypes, propDesc, ptr, val, violations) {
+
+	const violation = (code, ptrToReport, message, expectedType) => {
+		violations.push({
+			pointer: ptrToReport,
+			propPath: propDesc.container.nestedPath + propDesc.name,
+			code: code,
+			message: message,
+			expectedType: expectedType
+		});
+	};
+
+	// check if no value
+	if ((val === undefined) || (val === null)) {
+		if (!propDesc.optional && !propDesc.isGenerated())
+			violation(
+				'PATCH_MISSING_REQUIRED', ptr,
+				`Missing value for required property at ${ptr}.`);
+		return;
+	}
+
+	// validate single value
+	const validateElement = (elVal, elPtr, collectionElement) => {
+		if (elVal === null) {
+			if (collectionElement && (propDesc.scalarValueType === 'object'))
+				violation(
+					'PATCH_INVALID_NULL', elPtr,
+					`Null nested object collection element at ${elPtr}.`);
+		} else if (propDesc.scalarValueType === 'object') {
+			if (((typeof elVal) !== 'object') || Array.isArray(elVal))
+				violation(
+					'PATCH_INVALID_VALUE_TYPE', elPtr,
+					`Invalid value at ${elPtr}: expected an object.`, 'object');
+			else
+				validateObject(
+					recordTypes, propDesc.nestedProperties, `${elPtr}/`, elVal,
+					violations);
+		} else {
+			const invalid = isInvalidScalarValueType(
+				recordTypes, elVal, propDesc, false);
+			if (invalid)
+				violation(
+					'PATCH_INVALID_VALUE_TYPE', elPtr,
+					`Invalid value at ${elPtr}: ${invalid}`,
+					propDesc.scalarValueType);
+		}
+	};
+
+	// validate depending on the property type
+	if (propDesc.isArray()) {
+		if (!Array.isArray(val)) {
+			violation(
+				'PATCH_INVALID_VALUE_TYPE', ptr,
+				`Invalid value at ${ptr}: expected an array.`, 'array');
+			return;
+		}
+		if (!propDesc.optional && (val.length === 0))
+			violation(
+				'PATCH_EMPTY_REQUIRED', ptr,
+				`Empty array for required property at ${ptr}.`);
+		val.forEach((v, i) => { validateElement(v, `${ptr}/${i}`, true); });
+	} else if (propDesc.isMap()) {
+		if (((typeof val) !== 'object') || Array.isArray(val)) {
+			violation(
+				'PATCH_INVALID_VALUE_TYPE', ptr,
+				`Invalid value at ${ptr}: expected an object.`, 'object');
+			return;
+		}
+		const keys = Object.keys(val);
+		if (!propDesc.optional && (keys.length === 0))
+			violation(
+				'PATCH_EMPTY_REQUIRED', ptr,
+				`Empty object for required property at ${ptr}.`);
+		keys.forEach(k => {
+			validateElement(
+				val[k], `${ptr}/${k.replace(/~/g, '~0').replace(/\//g, '~1')}`,
+				true);
+		});
+	} else {
+		validateElement(val, ptr, false);
+	}
+}
+
+/**
+ * Validate "by" property provided with a patch operation.
+ *
+ * @private
+ * @param {string} opType Patch operation type.
+ * @param {number} opInd Index of the patch operation in the list of operations.
+ * @param {module:x2node-pointers~RecordElementPointer} pathPtr Information
+ * object for the property path, to which the operation is applied.
+ * @param {*} by The "by" property value.
+ * @returns {number} The validated "by" value.
+ * @throws {module:x2node-common.X2SyntaxError} If the "by" is invalid or the
+ * target property is not a number.
+ */
+function validatePatchOperationBy(opType, opInd, pathPtr, by) {
+
+	const invalidBy = (code, msg, expectedType) => patchSyntaxError(
+		code,
+		`Invalid "by" in patch operation #${opInd + 1} (${opType}): ${msg}`,
+		pathPtr, expectedType);
+
+	const propDesc = pathPtr.propDesc;
+	if ((propDesc.scalarValueType !== 'number') ||
+		!(propDesc.isScalar() || pathPtr.collectionElement))
+		throw invalidBy(
+			'PATCH_INVALID_TARGET',
+			'target must be a number property or collection element.');
+
+	if (((typeof by) !== 'number') || !Number.isFinite(by))
+		throw invalidBy(
+			'PATCH_INVALID_VALUE_TYPE', 'expected a finite number.', 'number');
+
+	return by;
+}
+
 /**
  * Validate "from" property provided with a patch operation.
  *
@@ -1121,9 +3661,10 @@ function isValidObjectValue(recordTypes, val, objectPropDesc, forUpdate) {
  */
 function validatePatchOperationFrom(opType, opInd, pathPtr, fromPtr, forMove) {
 
-	const invalidFrom = msg => new common.X2SyntaxError(
+	const invalidFrom = msg => patchSyntaxError(
+		'PATCH_INVALID_FROM',
 		`Invalid "from" pointer in patch operation #${opInd + 1} (${opType}):` +
-			` ${msg}`);
+			` ${msg}`, fromPtr);
 
 	if (forMove && pathPtr.isChildOf(fromPtr))
 		throw invalidFrom('may not move location into one of its children.');
@@ -1166,10 +3707,10 @@ function validatePatchOperationFrom(opType, opInd, pathPtr, fromPtr, forMove) {
  */
 function isCompatibleObjects(objectPropDesc1, objectPropDesc2) {
 
-	const propNames2 = new Set(objectPropDesc2.allPropertyNames);
 	const container1 = objectPropDesc1.nestedProperties;
 	const container2 = objectPropDesc2.nestedProperties;
-	for (let propName of objectPropDesc1.allPropertyNames) {
+	const propNames2 = new Set(container2.allPropertyNames);
+	for (let propName of container1.allPropertyNames) {
 		const propDesc1 = container1.getPropertyDesc(propName);
 		if (propDesc1.isView() || propDesc1.isCalculated())
 			continue;
@@ -1266,7 +3807,7 @@ function addInvolvedObjectProperty(
 			continue;
 		if (propDesc.scalarValueType === 'object') {
 			addInvolvedObjectProperty(
-				objectPropDesc, involvedPropPaths, updatedPropPaths);
+				propDesc, involvedPropPaths, updatedPropPaths);
 		} else {
 			const propPath = container.nestedPath + propName;
 			involvedPropPaths.add(propPath);
@@ -1279,3 +3820,20 @@ function addInvolvedObjectProperty(
 // export the builder functions
 exports.build = build;
 exports.buildMerge = buildMerge;
+exports.validate = validate;
+exports.equalValues = equalValues;
+
+// export internal comparison functions for the other module components
+exports.equalPropValues = equalPropValues;
+exports.equalScalars = equalScalars;
+
+// export internal value helpers for the other module components
+exports.copyValue = copyValue;
+
+// export internal record type helpers for the other module components
+exports.getMetaInfoPropName = getMetaInfoPropName;
+exports.isVersionTest = isVersionTest;
+
+// export internal error helpers for the other module components
+exports.patchSyntaxError = patchSyntaxError;
+exports.patchDataError = patchDataError;
@@ -0,0 +1,281 @@
+'use strict';
+
+const common = require('x2node-common');
+const pointers = require('x2node-pointers');
+
+// the builder module requires this module as well, so its exports are only
+// accessed at run time
+const recordPatchBuilder = require('./record-patch-builder.js');
+
+
+/**
+ * Record element pointer that addresses one or more nested object array
+ * elements by their ids rather than by their indexes. In the pointer string,
+ * such elements are addressed by id selector tokens, which are the element id
+ * values prefixed with a hash sign, for example
+ * "/nestedObjArrayProp/#42/prop1". The pointer is resolved into a regular
+ * record element pointer against a specific record, when the array element
+ * indexes are known.
+ *
+ * @private
+ * @memberof module:x2node-patches
+ * @inner
+ */
+class IdSelectorPointer {
+
+	/**
+	 * Create new pointer.
+	 *
+	 * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record
+	 * type descriptor.
+	 * @param {string} pointerString The pointer string.
+	 * @param {module:x2node-pointers~RecordElementPointer} templatePtr Regular
+	 * pointer, in which all id selectors are replaced with zero array indexes.
+	 * Used to get the pointer's descriptors.
+	 * @param {Map.<number,Object>} selectors Id selectors by pointer token
+	 * indexes. Each selector is an object with <code>idPropName</code> and
+	 * <code>id</code> properties.
+	 */
+	constructor(recordTypeDesc, pointerString, templatePtr, selectors) {
+
+		this._recordTypeDesc = recordTypeDesc;
+		this._pointerString = pointerString;
+		this._templatePtr = templatePtr;
+		this._selectors = selectors;
+
+		this._tokens = pointerString.split('/').slice(1);
+	}
+
+	/**
+	 * Regular pointer, in which all id selectors are replaced with zero array
+	 * indexes.
+	 *
+	 * @member {module:x2node-pointers~RecordElementPointer}
+	 * @readonly
+	 */
+	get templatePtr() { return this._templatePtr; }
+
+	/**
+	 * Tell if the pointer token at the specified index is an id selector.
+	 *
+	 * @param {number} tokenInd Token index (zero for the first token after the
+	 * root).
+	 * @returns {boolean} <code>true</code> if id selector.
+	 */
+	isSelector(tokenInd) { return this._selectors.has(tokenInd); }
+
+	/**
+	 * Get id selector at the specified pointer token index.
+	 *
+	 * @param {number} tokenInd Token index (zero for the first token after the
+	 * root).
+	 * @returns {Object} The selector object with <code>idPropName</code> and
+	 * <code>id</code> properties, or <code>undefined</code> if the token is not
+	 * an id selector.
+	 */
+	getSelector(tokenInd) { return this._selectors.get(tokenInd); }
+
+	/**
+	 * Tell if the last pointer token is an id selector.
+	 *
+	 * @returns {boolean} <code>true</code> if the pointer points at an array
+	 * element selected by id.
+	 */
+	isSelectedElement() { return this.isSelector(this._tokens.length - 1); }
+
+	/**
+	 * Resolve the pointer against the specified record.
+	 *
+	 * @param {Object} record The record.
+	 * @returns {module:x2node-pointers~RecordElementPointer} Regular pointer,
+	 * in which all id selectors are replaced with the indexes of the matching
+	 * elements in the record.
+	 * @throws {module:x2node-common.X2DataError} If an array addressed by the
+	 * pointer does not have an element with the selected id (the error has
+	 * "PATCH_NO_SELECTED_ELEMENT" code), or the location cannot be reached.
+	 * Elements that are <code>null</code> or not objects are skipped when
+	 * looking for the selected id.
+	 */
+	resolve(record) {
+
+		let resolved = '';
+		this._tokens.forEach((token, i) => {
+			const selector = this._selectors.get(i);
+			if (!selector) {
+				resolved += `/${token}`;
+				return;
+			}
+			const arr = pointers.parse(this._recordTypeDesc, resolved).getValue(
+				record);
+			const ind = (Array.isArray(arr) ? arr.findIndex(
+				el => (((typeof el) === 'object') && (el !== null) &&
+					(el[selector.idPropName] === selector.id))) : -1);
+			if (ind < 0)
+				throw recordPatchBuilder.patchDataError(
+					'PATCH_NO_SELECTED_ELEMENT',
+					`No element with id ${selector.id} at ${resolved}.`, this);
+			resolved += `/${ind}`;
+		});
+
+		return pointers.parse(this._recordTypeDesc, resolved);
+	}
+
+	/**
+	 * Descriptor of the property, at which the pointer points.
+	 *
+	 * @member {module:x2node-records~PropertyDescriptor}
+	 * @readonly
+	 */
+	get propDesc() { return this._templatePtr.propDesc; }
+
+	/**
+	 * Path of the property, at which the pointer points.
+	 *
+	 * @member {string}
+	 * @readonly
+	 */
+	get propPath() { return this._templatePtr.propPath; }
+
+	/**
+	 * <code>true</code> if the pointer is for an array or map element.
+	 *
+	 * @member {boolean}
+	 * @readonly
+	 */
+	get collectionElement() { return this._templatePtr.collectionElement; }
+
+	/**
+	 * Tell if the pointer is the root pointer. Always <code>false</code>.
+	 *
+	 * @returns {boolean} <code>false</code>.
+	 */
+	isRoot() { return false; }
+
+	/**
+	 * Tell if this pointer points to a child of the specified other pointer.
+	 *
+	 * @param {(module:x2node-pointers~RecordElementPointer|module:x2node-patches~IdSelectorPointer)} otherPtr
+	 * The other pointer.
+	 * @returns {boolean} <code>true</code> if child.
+	 */
+	isChildOf(otherPtr) {
+
+		return this._pointerString.startsWith(otherPtr.toString() + '/');
+	}
+
+	/**
+	 * Get string representation of the pointer.
+	 *
+	 * @returns {string} The pointer string.
+	 */
+	toString() { return this._pointerString; }
+}
+
+/**
+ * Parse patch pointer, which may contain id selectors for nested object array
+ * elements.
+ *
+ * @private
+ * @param {module:x2node-records~RecordTypeDescriptor} recordTypeDesc Record type
+ * descriptor.
+ * @param {string} propPointer Property pointer string.
+ * @param {boolean} [noDash] <code>true</code> if a dash at the end of the
+ * pointer to an array element is not allowed.
+ * @returns {(module:x2node-pointers~RecordElementPointer|module:x2node-patches~IdSelectorPointer)}
+ * Regular pointer if the pointer does not have any id selectors, or id
+ * selector pointer if it does.
+ * @throws {module:x2node-common.X2SyntaxError} If the pointer is invalid.
+ */
+function parse(recordTypeDesc, propPointer, noDash) {
+
+	// quick check if may have selectors
+	if (((typeof propPointer) !== 'string') || !propPointer.includes('/#'))
+		return pointers.parse(recordTypeDesc, propPointer, noDash);
+
+	// find selectors and build the template pointer
+	const selectors = new Map();
+	const tokens = propPointer.split('/');
+	let ptr = pointers.parse(recordTypeDesc, '');
+	for (let i = 1, len = tokens.length; i < len; i++) {
+		const token = tokens[i];
+		if (!ptr.isRoot() && !ptr.collectionElement &&
+			ptr.propDesc.isArray() && token.startsWith('#')) {
+			const container = ptr.propDesc.nestedProperties;
+			const idPropName = (
+				ptr.propDesc.scalarValueType === 'object' ?
+					container.idPropertyName : null);
+			if (!idPropName)
+				throw new common.X2SyntaxError(
+					`Invalid record element pointer "${propPointer}": id` +
+						` selector used for elements without id.`);
+			const id = parseId(
+				container.getPropertyDesc(idPropName),
+				token.substring(1).replace(
+					/~[01]/g, m => (m === '~0' ? '~' : '/')));
+			if (id === undefined)
+				throw new common.X2SyntaxError(
+					`Invalid record element pointer "${propPointer}": invalid` +
+						` id selector.`);
+			selectors.set(i - 1, {
+				idPropName: idPropName,
+				id: id
+			});
+			tokens[i] = '0';
+		}
+		ptr = pointers.parse(recordTypeDesc, tokens.slice(0, i + 1).join('/'));
+	}
+
+	// validate the whole template pointer
+	const templatePtr = pointers.parse(
+		recordTypeDesc, tokens.join('/'), noDash);
+
+	// return the pointer
+	return (
+		selectors.size > 0 ?
+			new IdSelectorPointer(
+				recordTypeDesc, propPointer, templatePtr, selectors) :
+			templatePtr
+	);
+}
+
+/**
+ * Parse id value in an id selector.
+ *
+ * @private
+ * @param {module:x2node-records~PropertyDescriptor} idPropDesc Id property
+ * descriptor.
+ * @param {string} idStr Id value string.
+ * @returns {(string|number)} The id value, or <code>undefined</code> if
+ * invalid.
+ */
+function parseId(idPropDesc, idStr) {
+
+	if (idStr.length === 0)
+		return undefined;
+
+	if (idPropDesc.scalarValueType === 'number')
+		return (/^-?\d+(?:\.\d+)?$/.test(idStr) ? Number(idStr) : undefined);
+
+	return idStr;
+}
+
+/**
+ * Resolve pointer against the specified record.
+ *
+ * @private
+ * @param {(module:x2node-pointers~RecordElementPointer|module:x2node-patches~IdSelectorPointer)} ptr
+ * The pointer.
+ * @param {Object} record The record.
+ * @returns {module:x2node-pointers~RecordElementPointer} Regular pointer.
+ * @throws {module:x2node-common.X2DataError} If id selector pointer cannot be
+ * resolved.
+ */
+function resolve(ptr, record) {
+
+	return (ptr instanceof IdSelectorPointer ? ptr.resolve(record) : ptr);
+}
+
+// export the functions
+exports.parse = parse;
+exports.resolve = resolve;
+exports.IdSelectorPointer = IdSelectorPointer;
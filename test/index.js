@@ -28,6 +28,17 @@ const TEST_LIB = {
 				'simpleMapProp': {
 					valueType: 'string{}'
 				},
+				'counterProp': {
+					valueType: 'number',
+					optional: true
+				},
+				'requiredArrayProp': {
+					valueType: 'number[]',
+					optional: false
+				},
+				'refArrayProp': {
+					valueType: 'ref(Record2)[]'
+				},
 				'nestedObjProp': {
 					valueType: 'object',
 					properties: {
@@ -48,6 +59,21 @@ const TEST_LIB = {
 						}
 					}
 				},
+				'noIdObjArrayProp': {
+					valueType: 'object[]',
+					properties: {
+						'name': {
+							valueType: 'string'
+						},
+						'value': {
+							valueType: 'number'
+						},
+						'note': {
+							valueType: 'string',
+							optional: true
+						}
+					}
+				},
 				'nestedObjMapProp': {
 					valueType: 'object{}',
 					properties: {
@@ -55,6 +81,39 @@ const TEST_LIB = {
 							valueType: 'string'
 						}
 					}
+				},
+				'datetimeProp': {
+					valueType: 'datetime',
+					optional: true
+				},
+				'polyObjProp': {
+					valueType: 'object',
+					optional: true,
+					typePropertyName: 'type',
+					subtypes: {
+						'A': {
+							properties: {
+								'propA': {
+									valueType: 'string'
+								}
+							}
+						},
+						'B': {
+							properties: {
+								'propB': {
+									valueType: 'datetime[]'
+								}
+							}
+						}
+					}
+				}
+			}
+		},
+		'Record2': {
+			properties: {
+				'id': {
+					valueType: 'number',
+					role: 'id'
 				}
 			}
 		}
@@ -78,6 +137,1145 @@ describe('x2node-patches Module', function() {
 				{ op: 'test', path: '/simpleProp', value: 'some value' }
 			])).to.be.ok;
 		});
+
+		it('enforces the policy', function() {
+			const patchSpec = [
+				{ op: 'test', path: '/simpleProp', value: 'A' },
+				{ op: 'copy', from: '/simpleProp', path: '/optionalSimpleProp' },
+				{ op: 'replace', path: '/nestedObjProp', value: { prop1: 'X' } }
+			];
+			let err;
+			try {
+				patches.build(recordTypes, 'Record1', patchSpec, {
+					policy: {
+						'simpleProp': { 'test': true, '*': false },
+						'nestedObjProp.prop1': false
+					}
+				});
+			} catch (e) {
+				err = e;
+			}
+			expect(err).to.be.instanceof(patches.PatchPolicyError);
+			expect(err).to.be.instanceof(common.X2SyntaxError);
+			expect(err.opIndex).to.equal(1);
+			expect(err.pointer).to.equal('/simpleProp');
+			expect(err.kind).to.equal('copy-from');
+			const checked = new Array();
+			expect(() => patches.build(recordTypes, 'Record1', patchSpec, {
+				policy(propPath, kind) {
+					checked.push(`${kind}:${propPath}`);
+					return (kind !== 'replace') || (propPath !== 'nestedObjProp.prop1');
+				}
+			})).to.throw(patches.PatchPolicyError, /#3 \(replace\)/);
+			expect(checked).to.deep.equal([
+				'test:simpleProp', 'copy-from:simpleProp',
+				'copy:optionalSimpleProp', 'replace:nestedObjProp',
+				'replace:nestedObjProp.prop1'
+			]);
+		});
+
+		it('calls custom value validators', function() {
+			const validators = {
+				'simpleArrayProp': v => (v.length > 3 ? 'too long.' : undefined),
+				'nestedObjProp.prop1': v => (
+					v === 'X' ? { code: 'NO_X', message: 'no X.' } : undefined)
+			};
+			const build = patchSpec => patches.build(
+				recordTypes, 'Record1', patchSpec, { valueValidators: validators });
+			expect(build([
+				{ op: 'add', path: '/simpleArrayProp', value: [ 'A', 'B' ] },
+				{ op: 'test', path: '/simpleArrayProp/0', value: 'ABCD' }
+			])).to.be.ok;
+			expect(() => build([
+				{ op: 'add', path: '/simpleArrayProp', value: [ 'A', 'ABCD' ] }
+			])).to.throw(common.X2SyntaxError, /#1 \(add\): too long\./);
+			let err;
+			try {
+				build([
+					{ op: 'remove', path: '/optionalSimpleProp' },
+					{ op: 'replace', path: '/nestedObjProp', value: { prop1: 'X' } }
+				]);
+			} catch (e) {
+				err = e;
+			}
+			expect(err).to.include({ code: 'NO_X', opIndex: 1 });
+		});
+
+		it('reports structured errors', function() {
+			const catchError = func => {
+				try {
+					func();
+				} catch (err) {
+					return err;
+				}
+			};
+			let err = catchError(() => patches.build(recordTypes, 'Record1', [
+				{ op: 'test', path: '/simpleProp', value: 'A' },
+				{ op: 'add', path: '/simpleArrayProp/-', value: 3 }
+			]));
+			expect(err).to.be.instanceof(common.X2SyntaxError);
+			expect(err).to.include({
+				code: 'PATCH_INVALID_VALUE_TYPE',
+				opIndex: 1,
+				pointer: '/simpleArrayProp/-',
+				propPath: 'simpleArrayProp',
+				expectedType: 'string'
+			});
+			err = catchError(() => patches.build(recordTypes, 'Record1', [
+				{ op: 'remove', path: '/optionalSimpleProp' },
+				{ op: 'move', from: '/simpleMapProp/x', path: '/simpleProp' }
+			]).apply({ simpleMapProp: { a: 'A' } }));
+			expect(err).to.be.instanceof(common.X2DataError);
+			expect(err).to.include({
+				code: 'PATCH_NO_VALUE_TO_MOVE',
+				opIndex: 1,
+				pointer: '/simpleMapProp/x'
+			});
+			const mergeSpec = [
+				{ op: 'remove', path: '/optionalSimpleProp' },
+				{ op: 'merge', path: '/nestedObjProp', value: {}, patch: [
+					{ op: 'move', from: '/simpleMapProp/x', path: '/nestedObjProp/prop1' }
+				] }
+			];
+			err = catchError(() => patches.build(
+				recordTypes, 'Record1', mergeSpec).apply({ nestedObjProp: {} }));
+			expect(err).to.be.instanceof(common.X2DataError);
+			expect(err).to.include({
+				code: 'PATCH_NO_VALUE_TO_MOVE',
+				opIndex: 1,
+				pointer: '/simpleMapProp/x'
+			});
+			mergeSpec[1].patch[0] = {
+				op: 'replace', path: '/nestedObjProp/prop1', value: 1 };
+			err = catchError(() => patches.build(
+				recordTypes, 'Record1', mergeSpec));
+			expect(err).to.be.instanceof(common.X2SyntaxError);
+			expect(err).to.include({ opIndex: 1, pointer: '/nestedObjProp/prop1' });
+			expect(err.message).to.match(/#2 \(replace\)/);
+			expect(patches.validate(
+				recordTypes, 'Record1', mergeSpec)[0].message).to.equal(err.message);
+			err = catchError(() => patches.fromDiff(
+				recordTypes, 'Record1', { id: 1 }, { id: 1, simpleMapProp: 1 }));
+			expect(err).to.include({
+				code: 'PATCH_INVALID_VALUE_TYPE',
+				pointer: '/simpleMapProp',
+				expectedType: 'object'
+			});
+		});
+	});
+
+	describe('validate()', function() {
+
+		it('collects all errors', function() {
+			expect(patches.validate(recordTypes, 'Record1', [
+				{ op: 'replace', path: '/simpleProp', value: 'A' },
+				{ op: 'replace', path: '/noSuchProp', value: 'A' },
+				{ op: 'merge', path: '/nestedObjProp', value: {}, patch: [
+					{ op: 'replace', path: '/nestedObjProp/prop1', value: 1 }
+				] },
+				{ op: 'bad' },
+				{ op: 'copy', from: '/simpleProp', path: '/optionalSimpleProp' }
+			], {
+				policy: { 'optionalSimpleProp': false }
+			}).map(e => [ e.opIndex, e.op, e.pointer, e.propPath, e.code ]))
+				.to.deep.equal([
+					[ 1, 'replace', '/noSuchProp', undefined,
+						'PATCH_INVALID_POINTER' ],
+					[ 2, 'replace', '/nestedObjProp/prop1', 'nestedObjProp.prop1',
+						'PATCH_INVALID_VALUE_TYPE' ],
+					[ 3, 'bad', undefined, undefined, 'PATCH_UNKNOWN_OPERATION' ],
+					[ 4, 'copy', '/optionalSimpleProp', 'optionalSimpleProp',
+						'PATCH_POLICY_VIOLATION' ]
+				]);
+			expect(patches.validate(recordTypes, 'Record1', {})).to.deep.equal([ {
+				code: 'PATCH_NOT_ARRAY',
+				message: 'Patch specification is not an array.'
+			} ]);
+		});
+	});
+
+	describe('apply()', function() {
+
+		const rec = {
+			id: 1,
+			simpleProp: 'Mamber',
+			simpleArrayProp: [ 'A', 'B', 'C' ],
+			simpleMapProp: { 'a': 'A', 'b': 'B' },
+			nestedObjArrayProp: [
+				{ id: 1, prop1: 'A' },
+				{ id: 2, prop1: 'B' }
+			]
+		};
+
+		it('rolls back transactional patch on failed test', function() {
+			const patch = patches.build(recordTypes, 'Record1', [
+				{ op: 'replace', path: '/simpleProp', value: 'Zumber' },
+				{ op: 'remove', path: '/simpleArrayProp/1' },
+				{ op: 'add', path: '/simpleArrayProp/0', value: 'X' },
+				{ op: 'remove', path: '/simpleMapProp/a' },
+				{ op: 'add', path: '/simpleMapProp/a', value: 'Z' },
+				{ op: 'add', path: '/nestedObjMapProp/x', value: { prop1: 'X' } },
+				{ op: 'move', from: '/simpleArrayProp/0', path: '/simpleArrayProp/-' },
+				{ op: 'remove', path: '/nestedObjArrayProp/0' },
+				{ op: 'test', path: '/simpleProp', value: 'Mamber' }
+			]);
+			const recPatched = deepCopy(rec);
+			const nestedObj = recPatched.nestedObjArrayProp[0];
+			let rolledBack = false;
+			expect(patch.apply(recPatched, {
+				onRollback(err) { rolledBack = (err === undefined); }
+			}, { transactional: true })).to.be.false;
+			expect(rolledBack).to.be.true;
+			expect(recPatched).to.deep.equal(rec);
+			expect(Object.keys(recPatched.simpleMapProp)).to.deep.equal(
+				[ 'a', 'b' ]);
+			expect(recPatched).to.not.have.property('nestedObjMapProp');
+			expect(recPatched.nestedObjArrayProp[0]).to.equal(nestedObj);
+		});
+
+		it('rolls back transactional patch on error', function() {
+			const patch = patches.build(recordTypes, 'Record1', [
+				{ op: 'add', path: '/simpleArrayProp/-', value: 'D' },
+				{ op: 'remove', path: '/simpleArrayProp/10' }
+			]);
+			const recPatched = deepCopy(rec);
+			let rollbackErr;
+			expect(() => patch.apply(recPatched, {
+				onRollback(err) { rollbackErr = err; }
+			}, { transactional: true })).to.throw(common.X2DataError);
+			expect(rollbackErr).to.be.instanceof(common.X2DataError);
+			expect(recPatched).to.deep.equal(rec);
+		});
+
+		it('resolves id selectors skipping null elements', function() {
+			const recPatched = {
+				id: 1,
+				nestedObjArrayProp: [ null, { id: 2, prop1: 'B' } ]
+			};
+			patches.build(recordTypes, 'Record1', [
+				{ op: 'replace', path: '/nestedObjArrayProp/#2/prop1', value: 'X' }
+			]).apply(recPatched);
+			expect(recPatched.nestedObjArrayProp[1].prop1).to.equal('X');
+			let err;
+			try {
+				patches.build(recordTypes, 'Record1', [
+					{ op: 'add', path: '/simpleProp', value: 'A' },
+					{ op: 'remove', path: '/nestedObjArrayProp/#3' }
+				]).apply(recPatched);
+			} catch (e) {
+				err = e;
+			}
+			expect(err).to.be.instanceof(common.X2DataError);
+			expect(err).to.include({
+				code: 'PATCH_NO_SELECTED_ELEMENT',
+				opIndex: 1,
+				pointer: '/nestedObjArrayProp/#3',
+				propPath: 'nestedObjArrayProp'
+			});
+		});
+
+		it('validates the resulting record', function() {
+			const validRec = {
+				id: 1,
+				simpleProp: 'A',
+				requiredArrayProp: [ 1 ],
+				nestedObjProp: { prop1: 'X' }
+			};
+			const recPatched = deepCopy(validRec);
+			let err;
+			try {
+				patches.build(recordTypes, 'Record1', [
+					{ op: 'replace', path: '/simpleProp', value: 'B' },
+					{ op: 'remove', path: '/requiredArrayProp/0' },
+					{ op: 'add', path: '/simpleArrayProp', value: [ 'C' ] }
+				]).apply(recPatched, null, { transactional: true, validate: true });
+			} catch (e) {
+				err = e;
+			}
+			expect(err).to.be.instanceof(common.X2DataError);
+			expect(err.code).to.equal('PATCH_INVALID_RESULT');
+			expect(err.violations.map(v => [ v.pointer, v.code, v.opIndex ]))
+				.to.deep.equal([
+					[ '/requiredArrayProp', 'PATCH_EMPTY_REQUIRED', 1 ]
+				]);
+			expect(recPatched).to.deep.equal(validRec);
+			expect(patches.build(recordTypes, 'Record1', [
+				{ op: 'add', path: '/requiredArrayProp/-', value: 2 }
+			]).apply(recPatched, null, { validate: true })).to.be.true;
+		});
+
+		it('previews changes without modifying the record', function() {
+			const patch = patches.build(recordTypes, 'Record1', [
+				{ op: 'replace', path: '/simpleProp', value: 'Mamber' },
+				{ op: 'add', path: '/simpleArrayProp/-', value: 'D' },
+				{ op: 'test', path: '/simpleArrayProp/3', value: 'D' },
+				{ op: 'replace', path: '/nestedObjArrayProp/1/prop1', value: 'X' },
+				{ op: 'remove', path: '/simpleMapProp/a' },
+				{ op: 'test', path: '/simpleProp', value: 'Zumber' },
+				{ op: 'remove', path: '/simpleMapProp/b' }
+			]);
+			const recPatched = deepCopy(rec);
+			const preview = patch.preview(recPatched);
+			expect(recPatched).to.deep.equal(rec);
+			expect(preview.passed).to.be.false;
+			expect(preview.changes).to.deep.equal([
+				{ op: 'replace', pointer: '/simpleProp', oldValue: 'Mamber', newValue: 'Mamber', noop: true },
+				{ op: 'add', pointer: '/simpleArrayProp/-', oldValue: undefined, newValue: 'D', noop: false },
+				{ op: 'replace', pointer: '/nestedObjArrayProp/1/prop1', oldValue: 'B', newValue: 'X', noop: false },
+				{ op: 'remove', pointer: '/simpleMapProp/a', oldValue: 'A', newValue: undefined, noop: false }
+			]);
+			expect(preview.tests).to.deep.equal([
+				{ pointer: '/simpleArrayProp/3', predicate: 'equals', value: 'D', passed: true },
+				{ pointer: '/simpleProp', predicate: 'equals', value: 'Zumber', passed: false }
+			]);
+		});
+
+		it('removes and adds unique simple array values', function() {
+			const patch = patches.buildMerge(recordTypes, 'Record1', {
+				simpleArrayProp: {
+					'remove-value': 'B',
+					'add-unique': [ 'A', 'D' ]
+				}
+			});
+			const recPatched = deepCopy(rec);
+			recPatched.simpleArrayProp.push('B');
+			const events = new Array();
+			patch.apply(recPatched, {
+				onInsert(op, ptr, val) { events.push([ op, ptr.toString(), val ]); },
+				onRemove(op, ptr, val) { events.push([ op, ptr.toString(), val ]); }
+			});
+			expect(recPatched.simpleArrayProp).to.deep.equal([ 'A', 'C', 'D' ]);
+			expect(events).to.deep.equal([
+				[ 'remove-value', '/simpleArrayProp/3', 'B' ],
+				[ 'remove-value', '/simpleArrayProp/1', 'B' ],
+				[ 'add-unique', '/simpleArrayProp/2', 'D' ]
+			]);
+			expect(() => patches.build(recordTypes, 'Record1', [
+				{ op: 'add-unique', path: '/simpleMapProp', value: 'A' }
+			])).to.throw(common.X2SyntaxError);
+		});
+
+		it('increments number values', function() {
+			const patch = patches.build(recordTypes, 'Record1', [
+				{ op: 'increment', path: '/counterProp', by: -3 }
+			]);
+			expect(patch.updatedPropPaths.has('counterProp')).to.be.true;
+			expect(patch.increments).to.deep.equal([ {
+				opIndex: 0,
+				pointer: '/counterProp',
+				propPath: 'counterProp',
+				by: -3
+			} ]);
+			const recPatched = deepCopy(rec);
+			recPatched.counterProp = 5;
+			let set;
+			patch.apply(recPatched, {
+				onSet(op, ptr, newVal, oldVal) {
+					set = [ op, ptr.toString(), newVal, oldVal ];
+				}
+			});
+			expect(recPatched.counterProp).to.equal(2);
+			expect(set).to.deep.equal([ 'increment', '/counterProp', 2, 5 ]);
+			expect(() => patch.apply(deepCopy(rec))).to.throw(common.X2DataError);
+			expect(() => patches.build(recordTypes, 'Record1', [
+				{ op: 'increment', path: '/simpleProp', by: 1 }
+			])).to.throw(common.X2SyntaxError);
+		});
+
+		it('evaluates test predicates', function() {
+			const patch = patches.build(recordTypes, 'Record1', [
+				{ op: 'test', path: '/simpleProp', predicate: 'exists' },
+				{ op: 'test', path: '/optionalSimpleProp', predicate: 'absent' },
+				{ op: 'test', path: '/simpleProp', predicate: 'pattern', value: '^Ma' },
+				{ op: 'test', path: '/simpleProp', predicate: 'in', value: [ 'X', 'Mamber' ] },
+				{ op: 'test', path: '/simpleArrayProp', predicate: 'contains', value: 'B' },
+				{ op: 'test', path: '/simpleMapProp', predicate: 'size', value: 2 },
+				{ op: 'test', path: '/nestedObjArrayProp/1/id', predicate: 'gt', value: 1 },
+				{ op: 'test', path: '/simpleProp', value: 'Mamber' },
+				{ op: 'test', path: '/nestedObjArrayProp/0/id', predicate: 'gte', value: 2 }
+			]);
+			const tested = new Array();
+			expect(patch.apply(deepCopy(rec), {
+				onTest(ptr, value, passed, predicate) {
+					tested.push([ predicate, passed ]);
+				}
+			})).to.be.false;
+			expect(tested).to.deep.equal([
+				[ 'exists', true ], [ 'absent', true ], [ 'pattern', true ],
+				[ 'in', true ], [ 'contains', true ], [ 'size', true ],
+				[ 'gt', true ], [ 'equals', true ], [ 'gte', false ]
+			]);
+			for (let opDef of [
+				{ op: 'test', path: '/simpleProp', predicate: 'lt', value: 1 },
+				{ op: 'test', path: '/simpleProp', predicate: 'pattern', value: '(' },
+				{ op: 'test', path: '/simpleProp', predicate: 'pattern', value: '^(a+)+$' },
+				{ op: 'test', path: '/simpleProp', predicate: 'pattern', value: '((ab)*c)*' },
+				{ op: 'test', path: '/simpleProp', predicate: 'pattern', value: '(a|a)*b' },
+				{ op: 'test', path: '/simpleProp', predicate: 'pattern', value: '((a|b)c)+' },
+				{ op: 'test', path: '/simpleProp', predicate: 'pattern', value: 'a'.repeat(257) },
+				{ op: 'test', path: '/simpleProp', predicate: 'size', value: 1 },
+				{ op: 'test', path: '/simpleProp', predicate: 'matches', value: 1 },
+				{ op: 'test', path: '/polyObjProp', predicate: 'type', value: 'C' }
+			]) expect(() => patches.build(recordTypes, 'Record1', [ opDef ])).to.throw(
+				common.X2SyntaxError);
+		});
+	});
+
+	describe('applyAsync()', function() {
+
+		const rec = {
+			id: 1,
+			simpleProp: 'Mamber',
+			simpleArrayProp: [ 'A', 'B', 'C' ],
+			simpleMapProp: { 'a': 'A' },
+			nestedObjArrayProp: [
+				{ id: 1, prop1: 'A' },
+				{ id: 2, prop1: 'B' }
+			]
+		};
+
+		const delay = result => new Promise(resolve => {
+			setTimeout(() => { resolve(result); }, 1);
+		});
+
+		it('waits for handlers in operation order', function() {
+			const patch = patches.build(recordTypes, 'Record1', [
+				{ op: 'replace', path: '/simpleProp', value: 'Mamber' },
+				{ op: 'replace', path: '/simpleProp', value: 'Zumber' },
+				{ op: 'move', from: '/simpleArrayProp/0', path: '/simpleArrayProp/-' },
+				{ op: 'test', path: '/simpleArrayProp/2', value: 'A' }
+			]);
+			const recPatched = deepCopy(rec);
+			const log = new Array();
+			return patch.applyAsync(recPatched, {
+				onSet(op, ptr, newValue) {
+					return delay().then(() => {
+						log.push(`${op} ${ptr} ${newValue}`);
+					});
+				},
+				onRemove(op, ptr) { log.push(`${op} ${ptr}`); },
+				onInsert(op, ptr) {
+					return delay().then(() => { log.push(`${op} ${ptr}`); });
+				},
+				onTest(ptr, value, passed) { log.push(`test ${ptr} ${passed}`); }
+			}).then(passed => {
+				expect(passed).to.be.true;
+				expect(log).to.deep.equal([
+					'replace /simpleProp Zumber',
+					'move /simpleArrayProp/0',
+					'move /simpleArrayProp/-',
+					'test /simpleArrayProp/2 true'
+				]);
+				expect(recPatched.simpleArrayProp).to.deep.equal([ 'B', 'C', 'A' ]);
+			});
+		});
+
+		it('aborts and rolls back when a handler rejects', function() {
+			const patch = patches.build(recordTypes, 'Record1', [
+				{ op: 'replace', path: '/simpleProp', value: 'Zumber' },
+				{ op: 'add', path: '/simpleArrayProp/-', value: 'D' },
+				{ op: 'add', path: '/simpleMapProp/b', value: 'B' }
+			]);
+			const recPatched = deepCopy(rec);
+			const failure = new Error('Handler failure.');
+			let inserts = 0, rollbackErr;
+			return patch.applyAsync(recPatched, {
+				onInsert() {
+					inserts++;
+					return delay().then(() => Promise.reject(failure));
+				},
+				onRollback(err) { rollbackErr = err; }
+			}, { transactional: true }).then(
+				() => { throw new Error('Expected rejection.'); },
+				err => {
+					expect(err).to.equal(failure);
+					expect(rollbackErr).to.equal(failure);
+					expect(inserts).to.equal(1);
+					expect(recPatched).to.deep.equal(rec);
+				}
+			);
+		});
+
+		it('validates the resulting record before the last handlers', function() {
+			const validRec = {
+				id: 1,
+				simpleProp: 'A',
+				requiredArrayProp: [ 1 ],
+				nestedObjProp: { prop1: 'X' }
+			};
+			const recPatched = deepCopy(validRec);
+			const calls = new Array();
+			let rollbackErr;
+			return patches.build(recordTypes, 'Record1', [
+				{ op: 'replace', path: '/simpleProp', value: 'B' },
+				{ op: 'remove', path: '/requiredArrayProp/0' }
+			]).applyAsync(recPatched, {
+				onSet(op, ptr) { calls.push(ptr.toString()); },
+				onRemove(op, ptr) { calls.push(ptr.toString()); },
+				onRollback(err) { rollbackErr = err; }
+			}, { transactional: true, validate: true }).then(
+				() => { throw new Error('Expected rejection.'); },
+				err => {
+					expect(err).to.be.instanceof(common.X2DataError);
+					expect(err.code).to.equal('PATCH_INVALID_RESULT');
+					expect(err.opIndex).to.equal(1);
+					expect(rollbackErr).to.equal(err);
+					expect(calls).to.deep.equal([ '/simpleProp' ]);
+					expect(recPatched).to.deep.equal(validRec);
+				}
+			);
+		});
+
+		it('checks references before applying', function() {
+			const patch = patches.build(recordTypes, 'Record1', [
+				{ op: 'replace', path: '/simpleProp', value: 'Zumber' },
+				{ op: 'add', path: '/refArrayProp', value: [ 'Record2#1' ] },
+				{ op: 'add', path: '/refArrayProp/-', value: 'Record2#3' }
+			]);
+			const recPatched = deepCopy(rec);
+			return patch.applyAsync(recPatched, null, {
+				refResolver: patches.createMemoryRefResolver({ 'Record2': [ 1, 2 ] })
+			}).then(
+				() => { throw new Error('Expected rejection.'); },
+				err => {
+					expect(err).to.be.instanceof(common.X2DataError);
+					expect(err).to.include({
+						code: 'PATCH_MISSING_REFERENCE',
+						opIndex: 2,
+						pointer: '/refArrayProp/-'
+					});
+					expect(recPatched).to.deep.equal(rec);
+					return patch.checkReferences(patches.createMemoryRefResolver({
+						'Record2': [ 1, 3 ]
+					}));
+				}
+			);
+		});
+
+		it('checks each reference once', function() {
+			const patch = patches.build(recordTypes, 'Record1', [
+				{ op: 'add', path: '/refArrayProp', value: [ 'Record2#1' ] },
+				{ op: 'merge', path: '/nestedObjProp', value: {}, patch: [
+					{ op: 'add', path: '/refArrayProp/-', value: 'Record2#2' },
+					{ op: 'add', path: '/refArrayProp/-', value: 'Record2#2' },
+					{ op: 'add', path: '/refArrayProp/-', value: 'Record2#1' }
+				] }
+			]);
+			expect(patch.references).to.deep.equal([
+				{ ref: 'Record2#1', opIndex: 0, pointer: '/refArrayProp' },
+				{ ref: 'Record2#2', opIndex: 1, pointer: '/refArrayProp/-' },
+				{ ref: 'Record2#1', opIndex: 1, pointer: '/refArrayProp/-' }
+			]);
+			const checked = new Array();
+			return patch.checkReferences(refs => {
+				checked.push(refs);
+				return [ 'Record2#1' ];
+			}).then(
+				() => { throw new Error('Expected rejection.'); },
+				err => {
+					expect(checked).to.deep.equal([ [ 'Record2#1', 'Record2#2' ] ]);
+					expect(err.missing).to.deep.equal([
+						{ ref: 'Record2#2', opIndex: 1, pointer: '/refArrayProp/-' }
+					]);
+				}
+			);
+		});
+	});
+
+	describe('applyImmutable()', function() {
+
+		it('copies only modified paths', function() {
+			const rec = deepFreeze({
+				id: 1,
+				simpleProp: 'Mamber',
+				simpleArrayProp: [ 'A', 'B', 'C' ],
+				simpleMapProp: { 'a': 'A' },
+				nestedObjProp: { prop1: 'X' },
+				nestedObjArrayProp: [
+					{ id: 1, prop1: 'A' },
+					{ id: 2, prop1: 'B' }
+				]
+			});
+			const patch = patches.build(recordTypes, 'Record1', [
+				{ op: 'replace', path: '/nestedObjArrayProp/1/prop1', value: 'Y' },
+				{ op: 'add', path: '/simpleArrayProp/-', value: 'D' },
+				{ op: 'add', path: '/nestedObjMapProp/x', value: { prop1: 'Z' } },
+				{ op: 'replace', path: '/nestedObjMapProp/x/prop1', value: 'W' }
+			]);
+			const recPatched = patch.applyImmutable(rec);
+			const recExpected = deepCopy(rec);
+			patch.apply(recExpected);
+			expect(recPatched).to.deep.equal(recExpected);
+			expect(recPatched).to.not.equal(rec);
+			expect(recPatched.simpleMapProp).to.equal(rec.simpleMapProp);
+			expect(recPatched.nestedObjProp).to.equal(rec.nestedObjProp);
+			expect(recPatched.nestedObjArrayProp).to.not.equal(
+				rec.nestedObjArrayProp);
+			expect(recPatched.nestedObjArrayProp[0]).to.equal(
+				rec.nestedObjArrayProp[0]);
+			expect(rec.simpleArrayProp).to.have.lengthOf(3);
+			expect(patch.applyImmutable(recPatched, null)).to.not.equal(recPatched);
+			expect(patches.build(recordTypes, 'Record1', [
+				{ op: 'replace', path: '/simpleProp', value: 'Mamber' }
+			]).applyImmutable(rec)).to.equal(rec);
+		});
+
+		it('passes test predicates to the handlers', function() {
+			const rec = deepFreeze({ id: 1, simpleProp: 'Mamber' });
+			const patch = patches.build(recordTypes, 'Record1', [
+				{ op: 'test', path: '/simpleProp', predicate: 'pattern', value: '^Ma' },
+				{ op: 'test', path: '/optionalSimpleProp', predicate: 'absent' }
+			]);
+			const tests = new Array();
+			const handlers = {
+				onTest(ptr, value, passed, predicate) {
+					tests.push([ ptr.toString(), value, passed, predicate ]);
+				}
+			};
+			patch.applyImmutable(rec, handlers);
+			patch.applyImmutable(
+				rec, patches.createInverseRecorder(rec, handlers));
+			const expected = [
+				[ '/simpleProp', '^Ma', true, 'pattern' ],
+				[ '/optionalSimpleProp', undefined, true, 'absent' ]
+			];
+			expect(tests).to.deep.equal(expected.concat(expected));
+		});
+	});
+
+	describe('createInverseRecorder()', function() {
+
+		const rec = {
+			id: 1,
+			simpleProp: 'Mamber',
+			simpleArrayProp: [ 'A', 'B', 'C' ],
+			simpleMapProp: { 'a': 'A' },
+			nestedObjProp: { prop1: 'X' },
+			nestedObjArrayProp: [
+				{ id: 1, prop1: 'A' },
+				{ id: 2, prop1: 'B' }
+			]
+		};
+
+		it('builds inverse patch restoring the record', function() {
+			const patch = patches.build(recordTypes, 'Record1', [
+				{ op: 'replace', path: '/simpleProp', value: 'Zumber' },
+				{ op: 'add', path: '/optionalSimpleProp', value: 'Y' },
+				{ op: 'remove', path: '/simpleArrayProp/1' },
+				{ op: 'add', path: '/simpleArrayProp/-', value: 'D' },
+				{ op: 'move', from: '/simpleArrayProp/0', path: '/simpleArrayProp/1' },
+				{ op: 'add', path: '/simpleMapProp/a', value: 'Z' },
+				{ op: 'add', path: '/simpleMapProp/b', value: 'B' },
+				{ op: 'add', path: '/nestedObjMapProp/x', value: { prop1: 'X' } },
+				{ op: 'replace', path: '/nestedObjProp/prop1', value: 'Y' },
+				{ op: 'remove', path: '/nestedObjArrayProp/0' },
+				{ op: 'add', path: '/nestedObjArrayProp/0', value: { id: 3, prop1: 'C' } },
+				{ op: 'replace', path: '/nestedObjArrayProp/1/prop1', value: 'Z' }
+			]);
+			const recPatched = deepCopy(rec);
+			let setCount = 0;
+			const recorder = patches.createInverseRecorder(recPatched, {
+				onSet() { setCount++; }
+			});
+			expect(patch.apply(recPatched, recorder)).to.be.true;
+			expect(setCount).to.equal(5);
+			const inverse = patches.build(
+				recordTypes, 'Record1', recorder.getInversePatch());
+			expect(inverse.apply(recPatched)).to.be.true;
+			expect(recPatched).to.deep.equal(rec);
+		});
+
+		it('builds inverse patch for immutable apply', function() {
+			const patch = patches.build(recordTypes, 'Record1', [
+				{ op: 'replace', path: '/simpleMapProp/b', value: 'B' },
+				{ op: 'add', path: '/simpleArrayProp/-', value: 'D' },
+				{ op: 'add', path: '/simpleArrayProp/-', value: 'E' },
+				{ op: 'add', path: '/nestedObjMapProp/x', value: { prop1: 'X' } },
+				{ op: 'add', path: '/nestedObjMapProp/y', value: { prop1: 'Y' } }
+			]);
+			const recorder = patches.createInverseRecorder(rec);
+			const recPatched = patch.applyImmutable(rec, recorder);
+			const inverseSpec = recorder.getInversePatch();
+			expect(inverseSpec).to.deep.equal([
+				{ op: 'remove', path: '/nestedObjMapProp/y' },
+				{ op: 'remove', path: '/nestedObjMapProp' },
+				{ op: 'remove', path: '/simpleArrayProp/4' },
+				{ op: 'remove', path: '/simpleArrayProp/3' },
+				{ op: 'remove', path: '/simpleMapProp/b' }
+			]);
+			expect(patches.build(recordTypes, 'Record1', inverseSpec).applyImmutable(
+				recPatched)).to.deep.equal(rec);
+		});
+	});
+
+	describe('merge3()', function() {
+
+		const base = {
+			id: 1,
+			simpleProp: 'Mamber',
+			simpleArrayProp: [ 'A', 'B' ],
+			simpleMapProp: { 'a': 'A', 'b': 'B' },
+			nestedObjProp: { prop1: 'X' },
+			nestedObjArrayProp: [
+				{ id: 1, prop1: 'A' },
+				{ id: 2, prop1: 'B' },
+				{ id: 3, prop1: 'C' }
+			]
+		};
+
+		it('merges non-overlapping changes', function() {
+			const mine = deepCopy(base);
+			mine.simpleProp = 'Zumber';
+			mine.simpleMapProp.a = 'X';
+			mine.nestedObjArrayProp[0].prop1 = 'X';
+			mine.nestedObjArrayProp.push({ prop1: 'D' });
+			const theirs = deepCopy(base);
+			theirs.simpleArrayProp.push('C');
+			theirs.simpleMapProp.c = 'C';
+			theirs.nestedObjArrayProp[2].prop1 = 'Y';
+			theirs.nestedObjArrayProp.splice(1, 1);
+			theirs.nestedObjArrayProp.unshift({ prop1: 'E' });
+			const res = patches.merge3(
+				recordTypes, 'Record1', base, mine, theirs);
+			expect(res.conflicts).to.be.empty;
+			expect(res.record).to.deep.equal({
+				id: 1,
+				simpleProp: 'Zumber',
+				simpleArrayProp: [ 'A', 'B', 'C' ],
+				simpleMapProp: { 'a': 'X', 'b': 'B', 'c': 'C' },
+				nestedObjProp: { prop1: 'X' },
+				nestedObjArrayProp: [
+					{ prop1: 'E' },
+					{ id: 1, prop1: 'X' },
+					{ id: 3, prop1: 'Y' },
+					{ prop1: 'D' }
+				]
+			});
+		});
+
+		it('reports conflicts', function() {
+			const mine = deepCopy(base);
+			mine.simpleProp = 'Zumber';
+			mine.nestedObjProp.prop1 = 'Y';
+			mine.nestedObjArrayProp[1].prop1 = 'X';
+			const theirs = deepCopy(base);
+			theirs.simpleProp = 'Bumber';
+			theirs.nestedObjProp.prop1 = 'Y';
+			theirs.nestedObjArrayProp.splice(1, 1);
+			const res = patches.merge3(
+				recordTypes, 'Record1', base, mine, theirs);
+			expect(res.conflicts).to.deep.equal([
+				{
+					pointer: '/simpleProp',
+					base: 'Mamber',
+					mine: 'Zumber',
+					theirs: 'Bumber'
+				},
+				{
+					pointer: '/nestedObjArrayProp/1',
+					base: { id: 2, prop1: 'B' },
+					mine: { id: 2, prop1: 'X' },
+					theirs: null
+				}
+			]);
+			expect(res.record.simpleProp).to.equal('Zumber');
+			expect(res.record.nestedObjProp).to.deep.equal({ prop1: 'Y' });
+			expect(res.record.nestedObjArrayProp).to.have.lengthOf(3);
+		});
+	});
+
+	describe('rebase()', function() {
+
+		const rec = {
+			id: 1,
+			simpleProp: 'Mamber',
+			simpleArrayProp: [ 'A', 'B', 'C', 'D' ],
+			nestedObjArrayProp: [
+				{ id: 1, prop1: 'A' },
+				{ id: 2, prop1: 'B' },
+				{ id: 3, prop1: 'C' },
+				{ id: 4, prop1: 'D' }
+			]
+		};
+
+		it('shifts array indexes', function() {
+			const concurrent = [
+				{ op: 'remove', path: '/nestedObjArrayProp/0' },
+				{ op: 'add', path: '/nestedObjArrayProp/1', value: { id: 5, prop1: 'E' } },
+				{ op: 'add', path: '/simpleArrayProp/0', value: 'X' },
+				{ op: 'move', from: '/simpleArrayProp/4', path: '/simpleArrayProp/1' }
+			];
+			const mine = [
+				{ op: 'replace', path: '/nestedObjArrayProp/3/prop1', value: 'Z' },
+				{ op: 'add', path: '/nestedObjArrayProp/2', value: { id: 6, prop1: 'F' } },
+				{ op: 'remove', path: '/simpleArrayProp/1' },
+				{ op: 'add', path: '/simpleArrayProp/1', value: 'Y' }
+			];
+			const res = patches.rebase(recordTypes, 'Record1', mine, concurrent);
+			expect(res.dropped).to.be.empty;
+			expect(res.patch).to.deep.equal([
+				{ op: 'replace', path: '/nestedObjArrayProp/3/prop1', value: 'Z' },
+				{ op: 'add', path: '/nestedObjArrayProp/2', value: { id: 6, prop1: 'F' } },
+				{ op: 'remove', path: '/simpleArrayProp/3' },
+				{ op: 'add', path: '/simpleArrayProp/3', value: 'Y' }
+			]);
+			const recPatched = deepCopy(rec);
+			patches.build(recordTypes, 'Record1', concurrent).apply(recPatched);
+			patches.build(recordTypes, 'Record1', res.patch).apply(recPatched);
+			expect(recPatched.simpleArrayProp).to.deep.equal(
+				[ 'X', 'D', 'A', 'Y', 'C' ]);
+			expect(recPatched.nestedObjArrayProp).to.deep.equal([
+				{ id: 2, prop1: 'B' },
+				{ id: 5, prop1: 'E' },
+				{ id: 6, prop1: 'F' },
+				{ id: 3, prop1: 'C' },
+				{ id: 4, prop1: 'Z' }
+			]);
+		});
+
+		it('drops operations on removed and moved targets', function() {
+			const concurrent = [
+				{ op: 'remove', path: '/nestedObjArrayProp/1' },
+				{ op: 'move', from: '/simpleArrayProp/0', path: '/simpleArrayProp/-' }
+			];
+			const mine = [
+				{ op: 'replace', path: '/nestedObjArrayProp/1/prop1', value: 'Z' },
+				{ op: 'replace', path: '/simpleArrayProp/0', value: 'Y' },
+				{ op: 'move', from: '/nestedObjArrayProp/1', path: '/nestedObjArrayProp/0' },
+				{ op: 'replace', path: '/nestedObjArrayProp/3/prop1', value: 'X' }
+			];
+			const res = patches.rebase(recordTypes, 'Record1', mine, concurrent);
+			expect(res.dropped.map(d => [ d.opIndex, d.reason ])).to.deep.equal([
+				[ 0, 'REMOVED' ], [ 1, 'MOVED' ], [ 2, 'REMOVED' ]
+			]);
+			expect(res.patch).to.deep.equal([
+				{ op: 'replace', path: '/nestedObjArrayProp/2/prop1', value: 'X' }
+			]);
+		});
+
+		it('transforms value array and merge operations', function() {
+			const res = patches.rebase(recordTypes, 'Record1', [
+				{ op: 'merge', path: '/nestedObjArrayProp/2', value: {}, patch: [
+					{ op: 'replace', path: '/nestedObjArrayProp/2/prop1', value: 'Z' }
+				] },
+				{ op: 'add-unique', path: '/simpleArrayProp', value: 'E' },
+				{ op: 'replace', path: '/simpleArrayProp/1', value: 'Y' }
+			], [
+				{ op: 'merge', path: '/nestedObjProp', value: {}, patch: [] },
+				{ op: 'remove', path: '/nestedObjArrayProp/0' },
+				{ op: 'add-unique', path: '/simpleArrayProp', value: 'F' },
+				{ op: 'remove-value', path: '/simpleArrayProp', value: 'A' }
+			]);
+			expect(res.dropped.map(d => [ d.opIndex, d.reason ])).to.deep.equal([
+				[ 2, 'SHIFTED' ]
+			]);
+			expect(res.patch).to.deep.equal([
+				{ op: 'merge', path: '/nestedObjArrayProp/1', value: {}, patch: [
+					{ op: 'replace', path: '/nestedObjArrayProp/1/prop1', value: 'Z' }
+				] },
+				{ op: 'add-unique', path: '/simpleArrayProp', value: 'E' }
+			]);
+		});
+
+		it('drops index operations on arrays with elements removed by id', function() {
+			const res = patches.rebase(recordTypes, 'Record1', [
+				{ op: 'replace', path: '/nestedObjArrayProp/1/prop1', value: 'Z' },
+				{ op: 'replace', path: '/nestedObjArrayProp/#3/prop1', value: 'Y' },
+				{ op: 'replace', path: '/nestedObjArrayProp/#1/prop1', value: 'X' },
+				{ op: 'remove', path: '/nestedObjArrayProp/#4' },
+				{ op: 'remove', path: '/nestedObjArrayProp/0' }
+			], [
+				{ op: 'remove', path: '/nestedObjArrayProp/#1' }
+			]);
+			expect(res.dropped.map(d => [ d.opIndex, d.reason ])).to.deep.equal([
+				[ 0, 'SHIFTED' ], [ 2, 'REMOVED' ], [ 4, 'SHIFTED' ]
+			]);
+			expect(res.patch).to.deep.equal([
+				{ op: 'replace', path: '/nestedObjArrayProp/#3/prop1', value: 'Y' },
+				{ op: 'remove', path: '/nestedObjArrayProp/#4' }
+			]);
+			expect(patches.rebase(recordTypes, 'Record1', [
+				{ op: 'remove', path: '/nestedObjArrayProp/#1' },
+				{ op: 'replace', path: '/nestedObjArrayProp/0/prop1', value: 'Z' }
+			], [
+				{ op: 'remove', path: '/nestedObjArrayProp/2' }
+			]).dropped.map(d => [ d.opIndex, d.reason ])).to.deep.equal([
+				[ 1, 'SHIFTED' ]
+			]);
+		});
+	});
+
+	describe('compose()', function() {
+
+		const rec = {
+			id: 1,
+			simpleProp: 'Mamber',
+			simpleArrayProp: [ 'A', 'B', 'C' ],
+			simpleMapProp: { 'a': 'A' },
+			nestedObjArrayProp: [
+				{ id: 1, prop1: 'A' },
+				{ id: 2, prop1: 'B' }
+			]
+		};
+
+		it('squashes redundant operations', function() {
+			const specs = [
+				[
+					{ op: 'replace', path: '/simpleProp', value: 'X' },
+					{ op: 'add', path: '/simpleArrayProp/1', value: 'Y' },
+					{ op: 'add', path: '/nestedObjArrayProp/-', value: { id: 3, prop1: 'C' } },
+					{ op: 'replace', path: '/nestedObjProp', value: { prop1: 'P' } }
+				],
+				[
+					{ op: 'replace', path: '/simpleProp', value: 'Z' },
+					{ op: 'remove', path: '/simpleArrayProp/1' },
+					{ op: 'replace', path: '/nestedObjProp/prop1', value: 'Q' },
+					{ op: 'add', path: '/simpleMapProp/b', value: 'B' },
+					{ op: 'replace', path: '/simpleArrayProp', value: [ 'D' ] }
+				],
+				[
+					{ op: 'add', path: '/simpleArrayProp/-', value: 'E' },
+					{ op: 'add', path: '/simpleArrayProp/0', value: 'F' },
+					{ op: 'move', from: '/simpleMapProp/a', path: '/simpleMapProp/a' }
+				]
+			];
+			const composed = patches.compose(recordTypes, 'Record1', specs);
+			expect(composed).to.deep.equal([
+				{ op: 'add', path: '/nestedObjArrayProp/-', value: { id: 3, prop1: 'C' } },
+				{ op: 'replace', path: '/nestedObjProp', value: { prop1: 'Q' } },
+				{ op: 'replace', path: '/simpleProp', value: 'Z' },
+				{ op: 'add', path: '/simpleMapProp/b', value: 'B' },
+				{ op: 'replace', path: '/simpleArrayProp', value: [ 'F', 'D', 'E' ] }
+			]);
+			const recSeq = deepCopy(rec);
+			for (let spec of specs)
+				patches.build(recordTypes, 'Record1', spec).apply(recSeq);
+			const recComposed = deepCopy(rec);
+			patches.build(recordTypes, 'Record1', composed).apply(recComposed);
+			expect(recComposed).to.deep.equal(recSeq);
+		});
+
+		it('keeps operations separated by interfering operations', function() {
+			const specs = [
+				[
+					{ op: 'replace', path: '/simpleProp', value: 'X' },
+					{ op: 'add', path: '/simpleArrayProp/1', value: 'Y' }
+				],
+				[
+					{ op: 'test', path: '/simpleProp', value: 'X' },
+					{ op: 'remove', path: '/simpleArrayProp/0' },
+					{ op: 'replace', path: '/simpleProp', value: 'Z' },
+					{ op: 'remove', path: '/simpleArrayProp/1' }
+				]
+			];
+			const composed = patches.compose(recordTypes, 'Record1', specs);
+			expect(composed).to.have.lengthOf(6);
+		});
+
+		it('handles id selectors', function() {
+			const selectorRec = {
+				id: 1,
+				simpleProp: 'Mamber',
+				nestedObjArrayProp: [
+					{ id: 42, prop1: 'A' },
+					{ id: 43, prop1: 'B' },
+					{ id: 44, prop1: 'C' }
+				]
+			};
+			const composeAndApply = specs => {
+				const recSeq = deepCopy(selectorRec);
+				for (let spec of specs)
+					patches.build(recordTypes, 'Record1', spec).apply(recSeq);
+				const composed = patches.compose(recordTypes, 'Record1', specs);
+				const recComposed = deepCopy(selectorRec);
+				patches.build(recordTypes, 'Record1', composed).apply(recComposed);
+				expect(recComposed).to.deep.equal(recSeq);
+				return composed;
+			};
+			expect(composeAndApply([
+				[ { op: 'replace', path: '/nestedObjArrayProp', value: [
+					{ id: 42, prop1: 'A' }
+				] } ],
+				[ { op: 'replace', path: '/nestedObjArrayProp/#42', value: {
+					id: 42, prop1: 'Z'
+				} } ]
+			])).to.deep.equal([
+				{ op: 'replace', path: '/nestedObjArrayProp', value: [
+					{ id: 42, prop1: 'Z' }
+				] }
+			]);
+			expect(composeAndApply([
+				[ { op: 'add', path: '/nestedObjArrayProp/1', value: {
+					id: 50, prop1: 'E'
+				} } ],
+				[ { op: 'remove', path: '/nestedObjArrayProp/#42' } ],
+				[ { op: 'remove', path: '/nestedObjArrayProp/1' } ]
+			])).to.have.lengthOf(3);
+		});
+	});
+
+	describe('normalize()', function() {
+
+		const rec = {
+			id: 1,
+			simpleProp: 'Mamber',
+			optionalSimpleProp: 'O',
+			simpleArrayProp: [ 'A' ],
+			simpleMapProp: { 'a': 'A' },
+			nestedObjProp: { prop1: 'P' },
+			nestedObjArrayProp: [
+				{ id: 1, prop1: 'A' },
+				{ id: 2, prop1: 'B' }
+			]
+		};
+
+		const spec = [
+			{ op: 'replace', path: '/simpleProp', value: 'X' },
+			{ op: 'replace', path: '/optionalSimpleProp', value: 'Y' },
+			{ value: { prop1: 'C', id: 2 }, path: '/nestedObjArrayProp/1', op: 'replace' },
+			{ op: 'replace', path: '/simpleMapProp', value: { 'b': 'B', 'a': 'A' } },
+			{ op: 'add', path: '/datetimeProp', value: '2018-01-01T00:00:00Z' },
+			{ op: 'remove', path: '/optionalSimpleProp' }
+		];
+
+		it('produces canonical patch', function() {
+			expect(patches.normalize(recordTypes, 'Record1', spec)).to.deep.equal([
+				{ op: 'add', path: '/datetimeProp', value: '2018-01-01T00:00:00.000Z' },
+				{ op: 'replace', path: '/nestedObjArrayProp/1', value: { id: 2, prop1: 'C' } },
+				{ op: 'remove', path: '/optionalSimpleProp' },
+				{ op: 'replace', path: '/simpleMapProp', value: { 'a': 'A', 'b': 'B' } },
+				{ op: 'replace', path: '/simpleProp', value: 'X' }
+			]);
+		});
+
+		it('normalizes merge operations', function() {
+			expect(patches.normalize(recordTypes, 'Record1', [
+				{ op: 'replace', path: '/simpleProp', value: 'X' },
+				{ patch: [
+					{ value: 'D', path: '/nestedObjProp/prop1', op: 'replace' }
+				], value: { prop1: 'C' }, path: '/nestedObjProp', op: 'merge' }
+			])).to.deep.equal([
+				{ op: 'replace', path: '/simpleProp', value: 'X' },
+				{ op: 'merge', path: '/nestedObjProp', value: { prop1: 'C' }, patch: [
+					{ op: 'replace', path: '/nestedObjProp/prop1', value: 'D' }
+				] }
+			]);
+		});
+
+		it('does not reorder operations across tests', function() {
+			const testSpec = [
+				{ op: 'replace', path: '/simpleProp', value: 'X' },
+				{ op: 'test', path: '/optionalSimpleProp', value: 'O' },
+				{ op: 'replace', path: '/nestedObjProp/prop1', value: 'Y' },
+				{ op: 'replace', path: '/datetimeProp', value: '2018-01-01T00:00:00.000Z' }
+			];
+			expect(patches.normalize(recordTypes, 'Record1', testSpec)).to.deep.equal([
+				testSpec[0], testSpec[1], testSpec[3], testSpec[2]
+			]);
+		});
+
+		it('eliminates operations folded into set values', function() {
+			expect(patches.normalize(recordTypes, 'Record1', [
+				{ op: 'replace', path: '/nestedObjArrayProp', value: [
+					{ id: 42, prop1: 'A' }, { id: 43, prop1: 'B' }
+				] },
+				{ op: 'remove', path: '/nestedObjArrayProp/#42' },
+				{ op: 'replace', path: '/simpleArrayProp', value: [ 'A' ] },
+				{ op: 'add', path: '/simpleArrayProp/-', value: 'B' },
+				{ op: 'add', path: '/simpleArrayProp/-', value: 'C' }
+			])).to.deep.equal([
+				{ op: 'replace', path: '/nestedObjArrayProp', value: [
+					{ id: 43, prop1: 'B' }
+				] },
+				{ op: 'replace', path: '/simpleArrayProp', value: [ 'A', 'B', 'C' ] }
+			]);
+			const inserts = [
+				{ op: 'add', path: '/simpleArrayProp/1', value: 'B' },
+				{ op: 'add', path: '/simpleArrayProp/2', value: 'C' }
+			];
+			expect(patches.normalize(recordTypes, 'Record1', inserts)).to.deep.equal(
+				inserts);
+		});
+
+		it('narrows down nested object replacements', function() {
+			const normalized = patches.normalize(recordTypes, 'Record1', spec, rec);
+			expect(normalized).to.deep.equal([
+				{ op: 'add', path: '/datetimeProp', value: '2018-01-01T00:00:00.000Z' },
+				{ op: 'replace', path: '/nestedObjArrayProp/1/prop1', value: 'C' },
+				{ op: 'remove', path: '/optionalSimpleProp' },
+				{ op: 'replace', path: '/simpleMapProp', value: { 'a': 'A', 'b': 'B' } },
+				{ op: 'replace', path: '/simpleProp', value: 'X' }
+			]);
+			const recOrig = deepCopy(rec);
+			patches.build(recordTypes, 'Record1', spec).apply(recOrig);
+			const recNormalized = deepCopy(rec);
+			patches.build(recordTypes, 'Record1', normalized).apply(recNormalized);
+			expect(patches.equalValues(
+				recordTypes, 'Record1', recNormalized, recOrig)).to.be.true;
+		});
+	});
+
+	describe('equalValues()', function() {
+
+		it('compares nested objects structurally', function() {
+			expect(patches.equalValues(recordTypes, 'Record1.nestedObjArrayProp', [
+				{ id: 1, prop1: 'A' }, { id: 2, prop1: 'B' }
+			], [
+				{ prop1: 'A', id: 1 }, { id: 2, prop1: 'B' }
+			])).to.be.true;
+			expect(patches.equalValues(recordTypes, 'Record1.nestedObjArrayProp', [
+				{ id: 1, prop1: 'A' }, { id: 2, prop1: 'B' }
+			], [
+				{ id: 2, prop1: 'B' }, { id: 1, prop1: 'A' }
+			])).to.be.false;
+			expect(patches.equalValues(recordTypes, 'Record1.nestedObjMapProp', {
+				'a': { prop1: 'A' }
+			}, {
+				'a': { prop1: 'X' }
+			})).to.be.false;
+			expect(patches.equalValues(
+				recordTypes, 'Record1.nestedObjMapProp', {}, undefined
+			)).to.be.true;
+		});
+
+		it('compares polymorphic objects and datetimes', function() {
+			const d = '2018-12-05T10:00:00.000Z';
+			expect(patches.equalValues(recordTypes, 'Record1.polyObjProp', {
+				type: 'B', propB: [ d ]
+			}, {
+				type: 'B', propB: [ new Date(d) ]
+			})).to.be.true;
+			expect(patches.equalValues(recordTypes, 'Record1.polyObjProp', {
+				type: 'A', propA: 'X'
+			}, {
+				type: 'A', propA: 'Y'
+			})).to.be.false;
+			expect(patches.equalValues(recordTypes, 'Record1.polyObjProp', {
+				type: 'A', propA: 'X'
+			}, {
+				type: 'B', propB: [ d ]
+			})).to.be.false;
+			expect(patches.equalValues(
+				recordTypes, 'Record1', { id: 1, datetimeProp: d },
+				{ id: 1, datetimeProp: new Date(d), simpleArrayProp: [] }
+			)).to.be.true;
+		});
+
+		it('is used by "test" and "replace" operations', function() {
+			const rec = {
+				id: 1,
+				nestedObjProp: { prop1: 'A' }
+			};
+			const patch = patches.build(recordTypes, 'Record1', [
+				{ op: 'test', path: '/nestedObjProp', value: { prop1: 'A' } },
+				{ op: 'replace', path: '/nestedObjProp', value: { prop1: 'A' } }
+			]);
+			let setCalled = false;
+			expect(patch.apply(rec, {
+				onSet() { setCalled = true; }
+			})).to.be.true;
+			expect(setCalled).to.be.false;
+		});
 	});
 
 	describe('fromDiff()', function() {
@@ -163,9 +1361,392 @@ describe('x2node-patches Module', function() {
 				expect(recPatched).to.deep.equal(recNew);
 			});
 		});
+
+		it('patches nested objects array prop via diff with id selectors', function() {
+			[
+				[
+					{ id: 1, prop1: 'A' },
+					{ id: 0, prop1: '0' },
+					{ id: 0, prop1: '1' },
+					{ id: 4, prop1: 'D' },
+					{ id: 5, prop1: 'E' },
+					{ id: 0, prop1: '2' }
+				],
+				[
+					{ id: 0, prop1: '0' },
+					{ id: 0, prop1: '1' },
+					{ id: 3, prop1: 'X' },
+					{ id: 4, prop1: 'D' },
+					{ id: 0, prop1: '2' }
+				],
+				[
+					{ id: 2, prop1: 'B' },
+					{ id: 1, prop1: 'X' },
+					{ id: 3, prop1: 'C' },
+					{ id: 5, prop1: 'Y' },
+					{ id: 4, prop1: 'D' }
+				],
+				[
+					{ id: 5, prop1: 'E' },
+					{ id: 4, prop1: 'D' },
+					{ id: 3, prop1: 'C' },
+					{ id: 2, prop1: 'B' },
+					{ id: 1, prop1: 'A' }
+				]
+			].forEach(a => {
+				const recNew = deepCopy(rec);
+				recNew.nestedObjArrayProp = a;
+				const patchSpec = patches.fromDiff(
+					recordTypes, 'Record1', rec, recNew, { idSelectors: true });
+				const patch = patches.build(recordTypes, 'Record1', patchSpec);
+				const recPatched = deepCopy(rec);
+				patch.apply(recPatched);
+				expect(recPatched).to.deep.equal(recNew);
+			});
+		});
+
+		it('generates minimal simple values array diff', function() {
+			[
+				[ [ 'B', 'C', 'D', 'E', 'F', 'G', 'A' ], 2 ],
+				[ [ 'A', 'X', 'C', 'D', 'E', 'Y', 'G' ], 2 ],
+				[ [ 'C', 'D', 'A', 'B', 'E', 'F', 'G' ], 4 ],
+				[ [ 'G', 'F', 'E', 'D', 'C', 'B', 'A' ], 6 ],
+				[ [ 'A', 'A', 'B', 'B', 'C', 'D', 'E', 'F', 'G' ], 2 ],
+				[ [ 'X' ], 7 ],
+				[ [ 'A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I' ], 2 ]
+			].forEach(([ a, numOps ]) => {
+				const recNew = deepCopy(rec);
+				recNew.simpleArrayProp = a;
+				const patchSpec = patches.fromDiff(
+					recordTypes, 'Record1', rec, recNew, { minimalArrayDiff: true });
+				expect(patchSpec).to.have.lengthOf(numOps);
+				const patch = patches.build(recordTypes, 'Record1', patchSpec);
+				const recPatched = deepCopy(rec);
+				patch.apply(recPatched);
+				expect(recPatched).to.deep.equal(recNew);
+			});
+		});
+
+		it('diffs unordered arrays as sets', function() {
+			const recOld = deepCopy(rec);
+			recOld.refArrayProp = [ 'Record2#1', 'Record2#2' ];
+			const recNew = deepCopy(recOld);
+			recNew.simpleArrayProp = [ 'G', 'X', 'F', 'E', 'D', 'C', 'A', 'X' ];
+			recNew.refArrayProp = [ 'Record2#3', 'Record2#1' ];
+			expect(patches.fromDiff(
+				recordTypes, 'Record1', recOld, recNew,
+				{ unorderedArrays: true })).to.deep.equal([
+				{ op: 'remove-value', path: '/simpleArrayProp', value: 'B' },
+				{ op: 'add-unique', path: '/simpleArrayProp', value: 'X' },
+				{ op: 'remove-value', path: '/refArrayProp', value: 'Record2#2' },
+				{ op: 'add-unique', path: '/refArrayProp', value: 'Record2#3' }
+			]);
+			const patchSpec = patches.fromDiff(
+				recordTypes, 'Record1', recOld, recNew,
+				{ unorderedArrays: [ 'refArrayProp' ] });
+			expect(patchSpec.filter(
+				opDef => opDef.path === '/refArrayProp')).to.deep.equal([
+				{ op: 'remove-value', path: '/refArrayProp', value: 'Record2#2' },
+				{ op: 'add-unique', path: '/refArrayProp', value: 'Record2#3' }
+			]);
+			const recPatched = deepCopy(recOld);
+			patches.build(recordTypes, 'Record1', patchSpec).apply(recPatched);
+			expect(recPatched.simpleArrayProp).to.deep.equal(
+				recNew.simpleArrayProp);
+			expect(recPatched.refArrayProp).to.deep.equal(
+				[ 'Record2#1', 'Record2#3' ]);
+			expect(() => patches.fromDiff(
+				recordTypes, 'Record1', recOld, recNew,
+				{ unorderedArrays: 'refArrayProp' })).to.throw(common.X2UsageError);
+				const d1 = '2018-12-05T10:00:00.000Z', d2 = '2018-12-06T10:00:00.000Z';
+			expect(patches.fromDiff(
+				recordTypes, 'Record1',
+				{ id: 1, polyObjProp: { type: 'B', propB: [ d1, d2 ] } },
+				{ id: 1, polyObjProp: { type: 'B', propB: [
+					new Date(d2), new Date(d1), new Date(d2) ] } },
+				{ unorderedArrays: true })).to.deep.equal([]);
+			expect(patches.fromDiff(
+				recordTypes, 'Record1',
+				{ id: 1, polyObjProp: { type: 'B', propB: [ d1, d2 ] } },
+				{ id: 1, polyObjProp: { type: 'B', propB: [ new Date(d1) ] } },
+				{ unorderedArrays: true })).to.deep.equal([
+				{ op: 'remove-value', path: '/polyObjProp/B:propB', value: d2 }
+			]);
+		});
+
+		it('matches nested objects without ids', function() {
+			const recOld = deepCopy(rec);
+			recOld.noIdObjArrayProp = [
+				{ name: 'a', value: 1, note: 'x' },
+				{ name: 'b', value: 2, note: 'y' },
+				{ name: 'c', value: 3, note: 'z' }
+			];
+			const recNew = deepCopy(recOld);
+			recNew.noIdObjArrayProp = [
+				{ name: 'b', value: 2, note: 'Y' },
+				{ name: 'c', value: 4, note: 'z' },
+				{ name: 'd', value: 5 }
+			];
+			const diff = elementMatching => patches.fromDiff(
+				recordTypes, 'Record1', recOld, recNew, {
+					elementMatching: { 'noIdObjArrayProp': elementMatching }
+				});
+			expect(diff('position')).to.deep.equal([
+				{ op: 'replace', path: '/noIdObjArrayProp/0/name', value: 'b' },
+				{ op: 'replace', path: '/noIdObjArrayProp/0/value', value: 2 },
+				{ op: 'replace', path: '/noIdObjArrayProp/0/note', value: 'Y' },
+				{ op: 'replace', path: '/noIdObjArrayProp/1/name', value: 'c' },
+				{ op: 'replace', path: '/noIdObjArrayProp/1/value', value: 4 },
+				{ op: 'replace', path: '/noIdObjArrayProp/1/note', value: 'z' },
+				{ op: 'replace', path: '/noIdObjArrayProp/2/name', value: 'd' },
+				{ op: 'replace', path: '/noIdObjArrayProp/2/value', value: 5 },
+				{ op: 'remove', path: '/noIdObjArrayProp/2/note' }
+			]);
+			expect(diff([ 'name' ])).to.deep.equal([
+				{ op: 'remove', path: '/noIdObjArrayProp/0' },
+				{ op: 'replace', path: '/noIdObjArrayProp/0/note', value: 'Y' },
+				{ op: 'replace', path: '/noIdObjArrayProp/1/value', value: 4 },
+				{ op: 'add', path: '/noIdObjArrayProp/-', value: { name: 'd', value: 5 } }
+			]);
+			expect(diff('similarity')).to.deep.equal(diff([ 'name' ]));
+			for (let elementMatching of [ 'position', [ 'name', 'value' ], 'similarity' ]) {
+				const patch = patches.build(
+					recordTypes, 'Record1', diff(elementMatching));
+				const recPatched = deepCopy(recOld);
+				patch.apply(recPatched);
+				expect(recPatched).to.deep.equal(recNew);
+			}
+			expect(() => patches.fromDiff(
+				recordTypes, 'Record1', recOld, recNew)).to.throw(
+				common.X2UsageError);
+			expect(() => diff('identity')).to.throw(common.X2UsageError);
+		});
+
+		it('detects moved nested objects without ids', function() {
+			const recOld = deepCopy(rec);
+			recOld.noIdObjArrayProp = [
+				{ name: 'n', value: 1 }
+			];
+			const recNew = deepCopy(recOld);
+			recNew.noIdObjArrayProp = [
+				{ name: 'n', value: 0 },
+				{ name: 'n', value: 1 }
+			];
+			for (let elementMatching of [ 'similarity', 'position' ]) {
+				const patchSpec = patches.fromDiff(
+					recordTypes, 'Record1', recOld, recNew, {
+						detectMoves: true,
+						elementMatching: { 'noIdObjArrayProp': elementMatching }
+					});
+				const patch = patches.build(recordTypes, 'Record1', patchSpec);
+				const recPatched = deepCopy(recOld);
+				patch.apply(recPatched);
+				expect(recPatched).to.deep.equal(recNew);
+			}
+		});
+
+		it('detects moved array elements', function() {
+			const recNew = deepCopy(rec);
+			recNew.simpleArrayProp = [ 'A', 'F', 'B', 'C', 'D', 'E', 'G' ];
+			recNew.nestedObjArrayProp = [
+				{ id: 5, prop1: 'X' },
+				{ id: 1, prop1: 'A' },
+				{ id: 0, prop1: '0' },
+				{ id: 3, prop1: 'C' },
+				{ id: 2, prop1: 'B' }
+			];
+			const patchSpec = patches.fromDiff(
+				recordTypes, 'Record1', rec, recNew, { detectMoves: true });
+			expect(patchSpec).to.deep.equal([
+				{ op: 'move', from: '/simpleArrayProp/5', path: '/simpleArrayProp/1' },
+				{ op: 'remove', path: '/nestedObjArrayProp/3' },
+				{ op: 'move', from: '/nestedObjArrayProp/3', path: '/nestedObjArrayProp/0' },
+				{ op: 'add', path: '/nestedObjArrayProp/2', value: { id: 0, prop1: '0' } },
+				{ op: 'move', from: '/nestedObjArrayProp/3', path: '/nestedObjArrayProp/-' },
+				{ op: 'replace', path: '/nestedObjArrayProp/0/prop1', value: 'X' }
+			]);
+			[
+				[ 'G', 'F', 'E', 'D', 'C', 'B', 'A' ],
+				[ 'C', 'A', 'X', 'A', 'B' ],
+				[ 'G', 'A', 'B', 'C', 'D', 'E', 'F' ],
+				[ 'Y' ]
+			].forEach(a => {
+				const recNew = deepCopy(rec);
+				recNew.simpleArrayProp = a;
+				recNew.nestedObjArrayProp = a.map((v, i) => ({
+					id: Math.max(v.charCodeAt(0) - 64, 0), prop1: String(i)
+				}));
+				for (let options of [
+					{ detectMoves: true }, { detectMoves: true, idSelectors: true }
+				]) {
+					const patch = patches.build(
+						recordTypes, 'Record1', patches.fromDiff(
+							recordTypes, 'Record1', rec, recNew, options));
+					const recPatched = deepCopy(rec);
+					patch.apply(recPatched);
+					expect(recPatched).to.deep.equal(recNew);
+				}
+			});
+		});
+
+		it('addresses nested object array elements by ids', function() {
+			const recNew = deepCopy(rec);
+			recNew.nestedObjArrayProp = [
+				{ id: 0, prop1: '0' },
+				{ id: 2, prop1: 'X' },
+				{ id: 3, prop1: 'C' },
+				{ id: 5, prop1: 'E' }
+			];
+			const patchSpec = patches.fromDiff(
+				recordTypes, 'Record1', rec, recNew, { idSelectors: true });
+			expect(patchSpec).to.deep.equal([
+				{ op: 'remove', path: '/nestedObjArrayProp/#1' },
+				{ op: 'add', path: '/nestedObjArrayProp/0', value: { id: 0, prop1: '0' } },
+				{ op: 'replace', path: '/nestedObjArrayProp/#2/prop1', value: 'X' },
+				{ op: 'remove', path: '/nestedObjArrayProp/#4' }
+			]);
+			const recConcurrent = deepCopy(rec);
+			recConcurrent.nestedObjArrayProp.splice(2, 1);
+			recConcurrent.nestedObjArrayProp.unshift({ id: 6, prop1: 'F' });
+			patches.build(recordTypes, 'Record1', [
+				{ op: 'replace', path: '/nestedObjArrayProp/#2/prop1', value: 'X' },
+				{ op: 'test', path: '/nestedObjArrayProp/#5', value: { id: 5, prop1: 'E' } },
+				{ op: 'remove', path: '/nestedObjArrayProp/#1' }
+			]).apply(recConcurrent);
+			expect(recConcurrent.nestedObjArrayProp).to.deep.equal([
+				{ id: 6, prop1: 'F' },
+				{ id: 2, prop1: 'X' },
+				{ id: 4, prop1: 'D' },
+				{ id: 5, prop1: 'E' }
+			]);
+			expect(() => patches.build(recordTypes, 'Record1', [
+				{ op: 'remove', path: '/nestedObjArrayProp/#3' }
+			]).apply(recConcurrent)).to.throw(common.X2DataError);
+			expect(() => patches.build(recordTypes, 'Record1', [
+				{ op: 'add', path: '/nestedObjArrayProp/#3', value: { id: 3, prop1: 'C' } }
+			])).to.throw(common.X2SyntaxError);
+			expect(() => patches.build(recordTypes, 'Record1', [
+				{ op: 'remove', path: '/simpleArrayProp/#3' }
+			])).to.throw(common.X2SyntaxError);
+		});
+	});
+
+	describe('versioned patches', function() {
+
+		const metaRecordTypes = records.with({
+			extendPropertyDescriptor(ctx, propDesc) {
+				const role = propDesc.definition.role;
+				if ((role === 'version') || (role === 'modificationTimestamp'))
+					propDesc.isRecordMetaInfo = () => true;
+				return propDesc;
+			}
+		}).buildLibrary({
+			recordTypes: {
+				'Record2': {
+					properties: {
+						'id': { valueType: 'number', role: 'id' },
+						'version': {
+							valueType: 'number',
+							role: 'version',
+							modifiable: false
+						},
+						'modifiedOn': {
+							valueType: 'datetime',
+							role: 'modificationTimestamp',
+							modifiable: false,
+							optional: true
+						},
+						'prop1': { valueType: 'string' }
+					}
+				}
+			}
+		});
+
+		it('checks and bumps the version', function() {
+			const recOld = { id: 1, version: 7, prop1: 'A' };
+			const patchSpec = patches.fromDiff(
+				metaRecordTypes, 'Record2', recOld, { id: 1, prop1: 'B' });
+			expect(patchSpec[0]).to.deep.equal(
+				{ op: 'test', path: '/version', value: 7 });
+			const patch = patches.build(metaRecordTypes, 'Record2', patchSpec);
+			const rec = deepCopy(recOld);
+			const sets = new Array();
+			expect(patch.apply(rec, {
+				onSet(op, ptr) { sets.push([ op, ptr.toString() ]); }
+			})).to.be.true;
+			expect(rec.version).to.equal(8);
+			expect(rec.prop1).to.equal('B');
+			expect(rec.modifiedOn).to.be.a('string');
+			expect(sets).to.deep.equal([
+				[ 'replace', '/prop1' ],
+				[ 'meta-info', '/version' ],
+				[ 'meta-info', '/modifiedOn' ]
+			]);
+			const expectingPatch = patches.buildMerge(
+				metaRecordTypes, 'Record2', { prop1: 'C' }, { expectVersion: 7 });
+			expect(expectingPatch.apply(rec)).to.be.false;
+			expect(rec.prop1).to.equal('B');
+			expect(() => patches.build(recordTypes, 'Record1', [], {
+				expectVersion: 1
+			})).to.throw(common.X2UsageError);
+		});
+
+		it('composes versioned patches', function() {
+			const spec1 = [
+				{ op: 'test', path: '/version', value: 7 },
+				{ op: 'replace', path: '/prop1', value: 'B' }
+			];
+			const spec2 = [
+				{ op: 'test', path: '/version', value: 8 },
+				{ op: 'replace', path: '/prop1', value: 'C' }
+			];
+			expect(patches.compose(
+				metaRecordTypes, 'Record2', [ spec1, spec2 ])).to.deep.equal([
+				{ op: 'test', path: '/version', value: 7 },
+				{ op: 'replace', path: '/prop1', value: 'C' }
+			]);
+			let err;
+			try {
+				patches.compose(metaRecordTypes, 'Record2', [ spec1, spec1 ]);
+			} catch (e) {
+				err = e;
+			}
+			expect(err).to.be.an.instanceof(common.X2SyntaxError);
+			expect(err.code).to.equal('PATCH_VERSION_MISMATCH');
+		});
+
+		it('inverts versioned patches', function() {
+			const rec = { id: 1, version: 7, prop1: 'A' };
+			const recorder = patches.createInverseRecorder(rec);
+			expect(patches.build(metaRecordTypes, 'Record2', [
+				{ op: 'replace', path: '/prop1', value: 'B' }
+			], { expectVersion: 7 }).apply(rec, recorder)).to.be.true;
+			const inverseSpec = recorder.getInversePatch();
+			expect(inverseSpec).to.deep.equal([
+				{ op: 'test', path: '/version', value: 8 },
+				{ op: 'replace', path: '/prop1', value: 'A' }
+			]);
+			const inversePatch = patches.build(
+				metaRecordTypes, 'Record2', inverseSpec);
+			expect(inversePatch.apply(rec)).to.be.true;
+			expect(rec.version).to.equal(9);
+			expect(rec.prop1).to.equal('A');
+			expect(inversePatch.apply(rec)).to.be.false;
+		});
 	});
 });
 
+function deepFreeze(val) {
+
+	if (((typeof val) === 'object') && (val !== null)) {
+		for (let k of Object.keys(val))
+			deepFreeze(val[k]);
+		Object.freeze(val);
+	}
+
+	return val;
+}
+
 function deepCopy(obj) {
 
 	let res;